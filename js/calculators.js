@@ -8,6 +8,19 @@ const CONSTANTS = {
   // Bags per cubic metre (based on Boral 20kg standard concrete bags)
   BAGS_PER_CUBIC_METRE: 108,
 
+  // Bagged concrete catalogue (AUD, Bunnings pricing 2025)
+  // bagsPerCubicMetre is the brand's published figure; yieldPerBag is its inverse in m³
+  DEFAULT_BAG_PRODUCT: 'standard-20',
+  BAG_PRODUCTS: {
+    'standard-20': { id: 'standard-20', label: 'Standard 20kg Concrete Mix', weight: 20, bagsPerCubicMetre: 108, yieldPerBag: 1 / 108, priceMin: 8.50, priceMax: 12.50 },
+    'australian-builders-20': { id: 'australian-builders-20', label: 'Australian Builders 20kg Concrete Mix', weight: 20, bagsPerCubicMetre: 100, yieldPerBag: 1 / 100, priceMin: 8.50, priceMax: 9.50 },
+    'boral-20': { id: 'boral-20', label: 'Boral Blue Circle 20kg Concrete Mix', weight: 20, bagsPerCubicMetre: 108, yieldPerBag: 1 / 108, priceMin: 9.00, priceMax: 10.50 },
+    'dingo-fast-set-20': { id: 'dingo-fast-set-20', label: 'Dingo 20kg Fast Set Concrete', weight: 20, bagsPerCubicMetre: 110, yieldPerBag: 1 / 110, priceMin: 10.50, priceMax: 12.50 },
+    'standard-10': { id: 'standard-10', label: 'Standard 10kg Concrete Mix', weight: 10, bagsPerCubicMetre: 216, yieldPerBag: 1 / 216, priceMin: 6.00, priceMax: 7.50 },
+    'standard-30': { id: 'standard-30', label: 'Standard 30kg Concrete Mix', weight: 30, bagsPerCubicMetre: 72, yieldPerBag: 1 / 72, priceMin: 12.00, priceMax: 16.00 },
+    'rapid-set-post-mix-20': { id: 'rapid-set-post-mix-20', label: 'Rapid Set 20kg Post Mix', weight: 20, bagsPerCubicMetre: 110, yieldPerBag: 1 / 110, priceMin: 11.00, priceMax: 14.00 }
+  },
+
   // Default wastage percentage
   DEFAULT_WASTAGE: 10,
 
@@ -28,6 +41,34 @@ const CONSTANTS = {
     act: { min: 250, max: 380, label: 'ACT' }
   },
 
+  // Ready-mix pricing regions by postcode (bundled offline). Ranges are inclusive Australia Post
+  // postcode ranges; the first region containing a postcode wins, so metro and remote areas are
+  // listed ahead of each state's regional catch-all. Prices are per m³ and the delivery
+  // surcharge is per truck load (AUD).
+  READYMIX_REGIONS: [
+    { id: 'nsw-metro', state: 'nsw', type: 'metro', label: 'Sydney metro', postcodes: [[2000, 2234], [2555, 2574], [2740, 2786]], min: 250, max: 360, deliverySurcharge: 0 },
+    { id: 'nsw-remote', state: 'nsw', type: 'remote', label: 'Far west NSW', postcodes: [[2829, 2840], [2878, 2880]], min: 340, max: 520, deliverySurcharge: 250 },
+    { id: 'nsw-regional', state: 'nsw', type: 'regional', label: 'Regional NSW', postcodes: [[2235, 2554], [2575, 2599], [2619, 2739], [2787, 2899], [2921, 2999]], min: 270, max: 400, deliverySurcharge: 60 },
+    { id: 'act-metro', state: 'act', type: 'metro', label: 'Canberra', postcodes: [[2600, 2618], [2900, 2920]], min: 250, max: 380, deliverySurcharge: 0 },
+    { id: 'vic-metro', state: 'vic', type: 'metro', label: 'Melbourne metro', postcodes: [[3000, 3207], [3335, 3341], [3425, 3443], [3750, 3810], [3910, 3920], [3926, 3944], [3975, 3978], [3980, 3980]], min: 240, max: 340, deliverySurcharge: 0 },
+    { id: 'vic-regional', state: 'vic', type: 'regional', label: 'Regional Victoria', postcodes: [[3208, 3999]], min: 260, max: 380, deliverySurcharge: 50 },
+    { id: 'qld-metro', state: 'qld', type: 'metro', label: 'Brisbane metro', postcodes: [[4000, 4207], [4300, 4305], [4500, 4519]], min: 230, max: 330, deliverySurcharge: 0 },
+    { id: 'qld-remote', state: 'qld', type: 'remote', label: 'Outback & far north Queensland', postcodes: [[4470, 4499], [4720, 4739], [4820, 4829], [4871, 4876], [4890, 4895]], min: 350, max: 550, deliverySurcharge: 300 },
+    { id: 'qld-regional', state: 'qld', type: 'regional', label: 'Regional Queensland', postcodes: [[4208, 4299], [4306, 4499], [4520, 4999]], min: 250, max: 380, deliverySurcharge: 60 },
+    { id: 'sa-metro', state: 'sa', type: 'metro', label: 'Adelaide metro', postcodes: [[5000, 5199]], min: 240, max: 350, deliverySurcharge: 0 },
+    { id: 'sa-remote', state: 'sa', type: 'remote', label: 'Outback South Australia', postcodes: [[5690, 5690], [5710, 5799]], min: 360, max: 560, deliverySurcharge: 300 },
+    { id: 'sa-regional', state: 'sa', type: 'regional', label: 'Regional South Australia', postcodes: [[5200, 5799]], min: 260, max: 390, deliverySurcharge: 60 },
+    { id: 'wa-metro', state: 'wa', type: 'metro', label: 'Perth metro', postcodes: [[6000, 6199]], min: 250, max: 370, deliverySurcharge: 0 },
+    { id: 'wa-remote', state: 'wa', type: 'remote', label: 'Pilbara, Kimberley & remote WA', postcodes: [[6438, 6445], [6630, 6646], [6700, 6799]], min: 400, max: 650, deliverySurcharge: 350 },
+    { id: 'wa-regional', state: 'wa', type: 'regional', label: 'Regional Western Australia', postcodes: [[6200, 6799]], min: 290, max: 440, deliverySurcharge: 80 },
+    { id: 'tas-metro', state: 'tas', type: 'metro', label: 'Hobart', postcodes: [[7000, 7099]], min: 280, max: 400, deliverySurcharge: 0 },
+    { id: 'tas-remote', state: 'tas', type: 'remote', label: 'West coast & Bass Strait islands', postcodes: [[7255, 7257], [7466, 7470]], min: 380, max: 580, deliverySurcharge: 250 },
+    { id: 'tas-regional', state: 'tas', type: 'regional', label: 'Regional Tasmania', postcodes: [[7100, 7799]], min: 290, max: 430, deliverySurcharge: 60 },
+    { id: 'nt-metro', state: 'nt', type: 'metro', label: 'Darwin', postcodes: [[800, 832]], min: 300, max: 430, deliverySurcharge: 0 },
+    { id: 'nt-remote', state: 'nt', type: 'remote', label: 'Remote Northern Territory', postcodes: [[852, 869], [872, 899]], min: 420, max: 650, deliverySurcharge: 350 },
+    { id: 'nt-regional', state: 'nt', type: 'regional', label: 'Regional Northern Territory', postcodes: [[833, 899]], min: 330, max: 480, deliverySurcharge: 100 }
+  ],
+
   // Average ready-mix price for general estimates
   READYMIX_PRICE_MIN: 200,
   READYMIX_PRICE_MAX: 420,
@@ -35,6 +76,159 @@ const CONSTANTS = {
   // Minimum order for ready-mix (cubic metres)
   READYMIX_MINIMUM_ORDER: 0.5,
 
+  // Ready-mix orders are rounded up to the supplier's increment and split across agitator trucks.
+  // Loads below a truck's minLoad attract a short-load fee for each m³ short; mini-mix
+  // suppliers also charge a surcharge per m³ (AUD)
+  READYMIX_ORDER_INCREMENT: 0.2,
+  READYMIX_TRUCKS: {
+    mini: { id: 'mini', label: 'Mini-mix truck', minLoad: 1, capacity: 3, surchargePerCubicMetre: 30 },
+    full: { id: 'full', label: 'Agitator truck', minLoad: 6, capacity: 8, surchargePerCubicMetre: 0 }
+  },
+  // Ready-mix fees (AUD): waiting time is charged per minute over the free unloading time
+  READYMIX_FEES: {
+    shortLoadPerCubicMetre: 70,
+    freeMinutesPerLoad: 30,
+    waitingPerMinute: 2.50,
+    afterHoursPerLoad: 180
+  },
+
+  // All-in bags vs ready-mix comparison (AUD): mixing time per 20kg bag, mixer hire once a
+  // job passes MIXER_HIRE_MIN_BAGS, and ready-mix placing time (setup + hours per m³)
+  BAG_MIXING_HOURS: 0.05,
+  MIXER_HIRE_MIN_BAGS: 30,
+  MIXER_HIRE_PER_DAY: 70,
+  MIXING_HOURS_PER_DAY: 8,
+  PUMP_HIRE_MIN: 200,
+  PUMP_HIRE_MAX: 600,
+  READYMIX_SETUP_HOURS: 0.5,
+  READYMIX_PLACING_HOURS: 0.5,
+  // Totals closer than the larger of these ($, or a fraction of the cheaper total) count as "either"
+  COMPARISON_EITHER_MINIMUM: 50,
+  COMPARISON_EITHER_MARGIN: 0.1,
+
+  // Reinforcing mesh catalogue (AUD, trade pricing 2025)
+  // Sheets are lapped by one 200mm square + 25mm; trench mesh by 500mm
+  DEFAULT_SLAB_MESH: 'SL82',
+  DEFAULT_TRENCH_MESH: '3-L11TM',
+  MESH_PRODUCTS: {
+    'SL62': { id: 'SL62', label: 'SL62 Mesh Sheet (6.0 × 2.4m)', type: 'sheet', length: 6, width: 2.4, lap: 0.225, priceMin: 60, priceMax: 80 },
+    'SL72': { id: 'SL72', label: 'SL72 Mesh Sheet (6.0 × 2.4m)', type: 'sheet', length: 6, width: 2.4, lap: 0.225, priceMin: 80, priceMax: 105 },
+    'SL82': { id: 'SL82', label: 'SL82 Mesh Sheet (6.0 × 2.4m)', type: 'sheet', length: 6, width: 2.4, lap: 0.225, priceMin: 105, priceMax: 135 },
+    'SL92': { id: 'SL92', label: 'SL92 Mesh Sheet (6.0 × 2.4m)', type: 'sheet', length: 6, width: 2.4, lap: 0.225, priceMin: 135, priceMax: 175 },
+    '3-L8TM': { id: '3-L8TM', label: '3-L8TM Trench Mesh (6m × 200mm)', type: 'trench', length: 6, width: 0.2, bars: 3, lap: 0.5, priceMin: 30, priceMax: 40 },
+    '3-L11TM': { id: '3-L11TM', label: '3-L11TM Trench Mesh (6m × 200mm)', type: 'trench', length: 6, width: 0.2, bars: 3, lap: 0.5, priceMin: 45, priceMax: 60 },
+    '4-L11TM': { id: '4-L11TM', label: '4-L11TM Trench Mesh (6m × 300mm)', type: 'trench', length: 6, width: 0.3, bars: 4, lap: 0.5, priceMin: 60, priceMax: 80 },
+    '3-L12TM': { id: '3-L12TM', label: '3-L12TM Trench Mesh (6m × 200mm)', type: 'trench', length: 6, width: 0.2, bars: 3, lap: 0.5, priceMin: 55, priceMax: 70 }
+  },
+
+  // Reo accessories: bar chairs at ~800mm centres, ties every 300mm along laps
+  REO_COVER: 0.05,
+  BAR_CHAIRS_PER_SQUARE_METRE: 1.6,
+  BAR_CHAIRS_PER_METRE: 1.25,
+  BAR_CHAIR_PRICE_MIN: 0.35,
+  BAR_CHAIR_PRICE_MAX: 0.60,
+  TIE_SPACING: 0.3,
+  TIE_WIRE_PER_TIE: 0.3,
+  TIE_WIRE_ROLL_LENGTH: 95,
+  TIE_WIRE_ROLL_PRICE_MIN: 18,
+  TIE_WIRE_ROLL_PRICE_MAX: 28,
+
+  // Formwork: standard form board heights (mm), stock lengths (m) and default price list (AUD)
+  FORM_BOARD_HEIGHTS: [100, 150, 200, 250, 300],
+  FORM_BOARD_LENGTHS: [3.6, 4.8, 6.0],
+  FORMWORK_PRICES: {
+    boards: { 100: 3.50, 150: 5.00, 200: 6.50, 250: 8.50, 300: 10.00 },
+    peg: 1.50,
+    screw: 0.08,
+    nail: 0.03,
+    bracing: 3.00
+  },
+
+  // Hire auger diameters (metres) and standard post sections
+  AUGER_SIZES: {
+    'auger-150': { id: 'auger-150', label: '150mm auger', diameter: 0.15 },
+    'auger-200': { id: 'auger-200', label: '200mm auger', diameter: 0.2 },
+    'auger-250': { id: 'auger-250', label: '250mm auger', diameter: 0.25 },
+    'auger-300': { id: 'auger-300', label: '300mm auger', diameter: 0.3 },
+    'auger-350': { id: 'auger-350', label: '350mm auger', diameter: 0.35 },
+    'auger-450': { id: 'auger-450', label: '450mm auger', diameter: 0.45 }
+  },
+  POST_SIZES: {
+    'pine-90': { id: 'pine-90', label: '90×90 treated pine', shape: 'square', width: 0.09 },
+    'pine-100': { id: 'pine-100', label: '100×100 treated pine', shape: 'square', width: 0.1 },
+    'pine-125': { id: 'pine-125', label: '125×125 treated pine', shape: 'square', width: 0.125 },
+    'shs-65': { id: 'shs-65', label: '65×65 SHS steel', shape: 'square', width: 0.065 },
+    'shs-75': { id: 'shs-75', label: '75×75 SHS steel', shape: 'square', width: 0.075 },
+    'log-100': { id: 'log-100', label: '100mm round log', shape: 'round', width: 0.1 },
+    'log-125': { id: 'log-125', label: '125mm round log', shape: 'round', width: 0.125 },
+    'log-150': { id: 'log-150', label: '150mm round log', shape: 'round', width: 0.15 }
+  },
+
+  // Minimum concrete between the post (its corners for square posts) and the side of the hole
+  MIN_POST_CLEARANCE: 0.05,
+
+  // Default maximum post spacing for fences (a 2.4m paling or panel bay)
+  DEFAULT_FENCE_SPACING: 2.4,
+
+  // Concrete blocks: 390 × 190mm faces laid at 400 × 200mm with mortar joints.
+  // Core fill per block is the volume of both cores filled full height.
+  BLOCK_LENGTH: 0.4,
+  BLOCK_HEIGHT: 0.2,
+  DEFAULT_BLOCK_TYPE: '200',
+  BLOCK_TYPES: {
+    '100': { id: '100', label: '100 series (90mm wide)', width: 0.09, coreFillPerBlock: 0.0032 },
+    '150': { id: '150', label: '150 series (140mm wide)', width: 0.14, coreFillPerBlock: 0.0064 },
+    '200': { id: '200', label: '200 series (190mm wide)', width: 0.19, coreFillPerBlock: 0.0096 }
+  },
+  CORE_FILL_PATTERNS: {
+    all: { id: 'all', label: 'Every core', fraction: 1 },
+    '400': { id: '400', label: 'Every second core (400mm centres)', fraction: 0.5 },
+    '800': { id: '800', label: 'Every fourth core (800mm centres)', fraction: 0.25 }
+  },
+
+  // Drainage gravel under post holes: 20kg bags of 20mm aggregate (~1.6 t/m³ loose)
+  GRAVEL_BAG_WEIGHT: 20,
+  GRAVEL_BAGS_PER_CUBIC_METRE: 80,
+  GRAVEL_BAG_PRICE_MIN: 7.00,
+  GRAVEL_BAG_PRICE_MAX: 11.00,
+
+  // Sub-base materials: loose bulk density (t/m³), compaction factor (loose ÷ compacted) and price per tonne (AUD)
+  DEFAULT_SUBBASE_MATERIAL: 'roadbase',
+  SUBBASE_MATERIALS: {
+    roadbase: { id: 'roadbase', label: 'Roadbase (20mm)', density: 1.8, compactionFactor: 1.3, priceMin: 45, priceMax: 70 },
+    crusherDust: { id: 'crusherDust', label: 'Crusher Dust', density: 1.6, compactionFactor: 1.25, priceMin: 45, priceMax: 65 },
+    sand: { id: 'sand', label: 'Bedding Sand', density: 1.6, compactionFactor: 1.15, priceMin: 50, priceMax: 75 }
+  },
+
+  // Delivery/haulage loads for bulk materials (payload in tonnes, capacity in loose m³)
+  MATERIAL_LOADS: {
+    trailer: { id: 'trailer', label: '6×4 box trailer', tonnes: 0.75, volume: 0.5 },
+    tipper: { id: 'tipper', label: 'Tandem tipper', tonnes: 12, volume: 9 }
+  },
+
+  // DIY mixing from bulk materials: wet volume × bulking factor = dry volume of materials
+  DRY_VOLUME_FACTOR: 1.54,
+  DEFAULT_MIX_DESIGN: 'N25',
+  // Mix ratios are cement : sand : aggregate by volume, water in kg per kg of cement
+  MIX_DESIGNS: {
+    N20: { id: 'N20', label: 'N20 (1:2:4)', ratio: [1, 2, 4], waterCementRatio: 0.6 },
+    N25: { id: 'N25', label: 'N25 (1:2:3)', ratio: [1, 2, 3], waterCementRatio: 0.55 },
+    N32: { id: 'N32', label: 'N32 (1:1.5:3)', ratio: [1, 1.5, 3], waterCementRatio: 0.45 },
+    '1:2:3': { id: '1:2:3', label: 'General purpose 1:2:3', ratio: [1, 2, 3], waterCementRatio: 0.5 },
+    '1:2:4': { id: '1:2:4', label: 'Footings & paths 1:2:4', ratio: [1, 2, 4], waterCementRatio: 0.55 }
+  },
+  DEFAULT_WATER_CEMENT_RATIO: 0.5,
+  // Loose bulk density (t/m³); cement is priced per bag, sand and aggregate per tonne (AUD)
+  MIX_MATERIALS: {
+    cement: { id: 'cement', label: 'GP cement', density: 1.44, bagWeight: 20, priceMin: 11.00, priceMax: 15.00 },
+    sand: { id: 'sand', label: 'Concrete sand', density: 1.6, priceMin: 50, priceMax: 75 },
+    aggregate: { id: 'aggregate', label: '20mm aggregate', density: 1.5, priceMin: 60, priceMax: 90 }
+  },
+
+  // Waffle pod slabs: standard pod footprint and available heights (mm)
+  WAFFLE_POD_SIZE: 1090,
+  WAFFLE_POD_HEIGHTS: [175, 225, 300, 375],
+
   // Pi for circular calculations
   PI: Math.PI
 };
@@ -70,12 +264,35 @@ function applyWastage(volume, wastagePercent) {
 }
 
 /**
- * Calculate number of 20kg bags needed for a given volume
+ * Look up a bagged concrete product from the catalogue
+ * @param {string} productId - Product ID (falls back to the default product if unknown)
+ * @returns {Object} Product { id, label, weight, bagsPerCubicMetre, yieldPerBag, priceMin, priceMax }
+ */
+function getBagProduct(productId) {
+  return CONSTANTS.BAG_PRODUCTS[productId] || CONSTANTS.BAG_PRODUCTS[CONSTANTS.DEFAULT_BAG_PRODUCT];
+}
+
+/**
+ * Find the hire auger closest to a hole diameter
+ * @param {number} diameter - Hole diameter in metres
+ * @returns {Object} Auger { id, label, diameter } (the larger one on a tie)
+ */
+function nearestAuger(diameter) {
+  return Object.values(CONSTANTS.AUGER_SIZES).reduce((best, auger) => {
+    const gap = Math.abs(auger.diameter - diameter);
+    const bestGap = Math.abs(best.diameter - diameter);
+    return gap < bestGap || (gap === bestGap && auger.diameter > best.diameter) ? auger : best;
+  });
+}
+
+/**
+ * Calculate number of bags needed for a given volume
  * @param {number} volume - Volume in cubic metres (with wastage already applied)
+ * @param {string} productId - Bag product ID (default: standard 20kg)
  * @returns {number} Number of bags (rounded up)
  */
-function calculateBags(volume) {
-  return Math.ceil(volume * CONSTANTS.BAGS_PER_CUBIC_METRE);
+function calculateBags(volume, productId = CONSTANTS.DEFAULT_BAG_PRODUCT) {
+  return Math.ceil(volume * getBagProduct(productId).bagsPerCubicMetre);
 }
 
 /**
@@ -92,25 +309,73 @@ function calculateBagCost(bags, priceMin = CONSTANTS.BAG_PRICE_MIN, priceMax = C
   };
 }
 
+/**
+ * Find the ready-mix pricing region for a postcode
+ * @param {string|number} postcode - Australian postcode (e.g. '4825' or 820)
+ * @returns {Object|null} Region from CONSTANTS.READYMIX_REGIONS, or null if not found
+ */
+function findReadymixRegion(postcode) {
+  const value = String(postcode || '').trim();
+  if (!/^\d{3,4}$/.test(value)) return null;
+
+  const number = parseInt(value, 10);
+  return CONSTANTS.READYMIX_REGIONS.find(region =>
+    region.postcodes.some(([from, to]) => number >= from && number <= to)
+  ) || null;
+}
+
+/**
+ * Resolve ready-mix pricing from a custom price or postcode, falling back to the
+ * state average and then the national range
+ * A custom price is taken as a delivered quote, so no regional surcharge is added.
+ * @param {string} state - Australian state code (optional)
+ * @param {string} postcode - Australian postcode (optional)
+ * @param {number} customPrice - Quoted price per m³ (optional)
+ * @returns {Object} Pricing { min, max, deliverySurcharge, region, state, source }
+ */
+function getReadymixPricing(state = null, postcode = null, customPrice = null) {
+  const region = findReadymixRegion(postcode);
+  if (customPrice > 0) {
+    return { min: customPrice, max: customPrice, deliverySurcharge: 0, region: null, state: region ? region.state : state, source: 'custom' };
+  }
+  if (region) {
+    return { min: region.min, max: region.max, deliverySurcharge: region.deliverySurcharge, region, state: region.state, source: 'postcode' };
+  }
+  if (state && CONSTANTS.READYMIX_PRICES[state]) {
+    const prices = CONSTANTS.READYMIX_PRICES[state];
+    return { min: prices.min, max: prices.max, deliverySurcharge: 0, region: null, state, source: 'state' };
+  }
+  return { min: CONSTANTS.READYMIX_PRICE_MIN, max: CONSTANTS.READYMIX_PRICE_MAX, deliverySurcharge: 0, region: null, state: null, source: 'national' };
+}
+
 /**
  * Calculate cost range for ready-mix
+ * When the postcode resolves, the regional delivery surcharge is added per load of
+ * the same truck plan calculateReadymixLoads picks, so every page agrees on it.
  * @param {number} volume - Volume in cubic metres
  * @param {string} state - Australian state code (optional)
- * @returns {Object} Cost range { min, max }
+ * @param {string} postcode - Australian postcode (optional - overrides the state average)
+ * @param {number} customPrice - Quoted price per m³ (optional - overrides both)
+ * @returns {Object} Cost range { min, max } with the pricing region, state and source
  */
-function calculateReadymixCost(volume, state = null) {
-  const pricing = state && CONSTANTS.READYMIX_PRICES[state]
-    ? CONSTANTS.READYMIX_PRICES[state]
-    : { min: CONSTANTS.READYMIX_PRICE_MIN, max: CONSTANTS.READYMIX_PRICE_MAX };
+function calculateReadymixCost(volume, state = null, postcode = null, customPrice = null) {
+  const pricing = getReadymixPricing(state, postcode, customPrice);
 
   // Apply minimum order
   const orderVolume = Math.max(volume, CONSTANTS.READYMIX_MINIMUM_ORDER);
+  const deliverySurcharge = pricing.deliverySurcharge > 0
+    ? calculateReadymixLoads({ volume: orderVolume, state, postcode, readymixPrice: customPrice }).results.fees.delivery
+    : 0;
 
   return {
-    min: orderVolume * pricing.min,
-    max: orderVolume * pricing.max,
+    min: orderVolume * pricing.min + deliverySurcharge,
+    max: orderVolume * pricing.max + deliverySurcharge,
     volume: orderVolume,
-    hasMinimumApplied: volume < CONSTANTS.READYMIX_MINIMUM_ORDER
+    hasMinimumApplied: volume < CONSTANTS.READYMIX_MINIMUM_ORDER,
+    deliverySurcharge,
+    region: pricing.region,
+    state: pricing.state,
+    source: pricing.source
   };
 }
 
@@ -134,6 +399,363 @@ function formatCurrency(value) {
 }
 
 
+// ===== GEOMETRY FUNCTIONS =====
+
+// Largest gap (metres) allowed between the end of an edge list and its starting point
+const OUTLINE_CLOSURE_TOLERANCE = 0.05;
+
+/**
+ * Calculate the area of a simple polygon using the shoelace formula
+ * @param {Array<Object>} vertices - Vertices as { x, y } in metres, in drawing order
+ * @returns {number} Area in square metres (always positive)
+ */
+function polygonArea(vertices) {
+  let sum = 0;
+  for (let i = 0; i < vertices.length; i++) {
+    const current = vertices[i];
+    const next = vertices[(i + 1) % vertices.length];
+    sum += current.x * next.y - next.x * current.y;
+  }
+  return Math.abs(sum) / 2;
+}
+
+/**
+ * Calculate the perimeter of a polygon
+ * @param {Array<Object>} vertices - Vertices as { x, y } in metres
+ * @returns {number} Perimeter in metres
+ */
+function polygonPerimeter(vertices) {
+  let perimeter = 0;
+  for (let i = 0; i < vertices.length; i++) {
+    const current = vertices[i];
+    const next = vertices[(i + 1) % vertices.length];
+    perimeter += Math.hypot(next.x - current.x, next.y - current.y);
+  }
+  return perimeter;
+}
+
+/**
+ * Calculate the centroid of a simple polygon
+ * @param {Array<Object>} vertices - Vertices as { x, y } in metres, in drawing order
+ * @returns {Object} Centroid as { x, y }
+ */
+function polygonCentroid(vertices) {
+  let cross = 0;
+  let x = 0;
+  let y = 0;
+  for (let i = 0; i < vertices.length; i++) {
+    const current = vertices[i];
+    const next = vertices[(i + 1) % vertices.length];
+    const term = current.x * next.y - next.x * current.y;
+    cross += term;
+    x += (current.x + next.x) * term;
+    y += (current.y + next.y) * term;
+  }
+  return { x: x / (3 * cross), y: y / (3 * cross) };
+}
+
+/**
+ * Clip a polygon to a convex polygon (Sutherland-Hodgman)
+ * The polygon being clipped may be concave; the result's area is the overlap.
+ * @param {Array<Object>} vertices - Polygon to clip as { x, y }
+ * @param {Array<Object>} convex - Convex clipping polygon as { x, y }, either winding
+ * @returns {Array<Object>} Vertices of the overlap (empty if none)
+ */
+function clipPolygonToConvex(vertices, convex) {
+  let sign = 0;
+  for (let i = 0; i < convex.length; i++) {
+    const a = convex[i];
+    const b = convex[(i + 1) % convex.length];
+    sign += a.x * b.y - b.x * a.y;
+  }
+  const side = (a, b, p) => Math.sign(sign) * ((b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x));
+
+  let output = vertices;
+  for (let i = 0; i < convex.length && output.length > 0; i++) {
+    const a = convex[i];
+    const b = convex[(i + 1) % convex.length];
+    const input = output;
+    output = [];
+    input.forEach((current, index) => {
+      const previous = input[(index + input.length - 1) % input.length];
+      const currentSide = side(a, b, current);
+      const previousSide = side(a, b, previous);
+      if ((currentSide >= 0) !== (previousSide >= 0)) {
+        // Edge crosses the clipping line: add the crossing point
+        const t = previousSide / (previousSide - currentSide);
+        output.push({ x: previous.x + t * (current.x - previous.x), y: previous.y + t * (current.y - previous.y) });
+      }
+      if (currentSide >= 0) {
+        output.push(current);
+      }
+    });
+  }
+  return output;
+}
+
+/**
+ * Convert a list of edge lengths and turns into polygon vertices
+ * Walks the outline from (0, 0) heading along the x axis. After each edge the
+ * heading turns by the given angle (positive = left/anticlockwise, negative = right).
+ *
+ * @param {Array<Object>} edges - Edges as { length, turn } (metres, degrees)
+ * @returns {Object} { vertices, closureError } where closureError is the gap back to the start in metres
+ */
+function edgesToVertices(edges) {
+  const vertices = [];
+  let x = 0;
+  let y = 0;
+  let heading = 0;
+
+  edges.forEach(edge => {
+    vertices.push({ x, y });
+    const radians = heading * CONSTANTS.PI / 180;
+    x += edge.length * Math.cos(radians);
+    y += edge.length * Math.sin(radians);
+    heading += edge.turn || 0;
+  });
+
+  // Clean up floating point noise from the trig (e.g. 1e-16 instead of 0)
+  const round = value => Math.round(value * 1e6) / 1e6;
+
+  return {
+    vertices: vertices.map(v => ({ x: round(v.x), y: round(v.y) })),
+    closureError: Math.hypot(x, y)
+  };
+}
+
+/**
+ * Average a grid of evenly spaced depth readings over the area they cover
+ * Each grid cell is treated as a surface through its four corner readings, so
+ * corner points count once, edge points twice and interior points four times
+ * (the trapezoidal rule). A 2 × 2 grid is simply the four slab corners.
+ *
+ * @param {Array<Array<number>>} depths - Rows of depth readings in metres (at least 2 × 2)
+ * @returns {Object} { average, min, max, rows, cols, cells, sums: { corner, edge, interior } }
+ */
+function gridAverageDepth(depths) {
+  const rows = depths.length;
+  const cols = depths[0].length;
+  const sums = { corner: 0, edge: 0, interior: 0 };
+
+  depths.forEach((row, r) => {
+    row.forEach((depth, c) => {
+      const onRowEdge = r === 0 || r === rows - 1;
+      const onColEdge = c === 0 || c === cols - 1;
+      if (onRowEdge && onColEdge) {
+        sums.corner += depth;
+      } else if (onRowEdge || onColEdge) {
+        sums.edge += depth;
+      } else {
+        sums.interior += depth;
+      }
+    });
+  });
+
+  const cells = (rows - 1) * (cols - 1);
+  const readings = depths.flat();
+
+  return {
+    average: (sums.corner + 2 * sums.edge + 4 * sums.interior) / (4 * cells),
+    min: Math.min(...readings),
+    max: Math.max(...readings),
+    rows,
+    cols,
+    cells,
+    sums
+  };
+}
+
+/**
+ * Calculate the area of a triangle from three { x, y } points
+ * @param {Object} a - First point
+ * @param {Object} b - Second point
+ * @param {Object} c - Third point
+ * @returns {number} Area in square metres (always positive)
+ */
+function triangleArea(a, b, c) {
+  return Math.abs((b.x - a.x) * (c.y - a.y) - (c.x - a.x) * (b.y - a.y)) / 2;
+}
+
+/**
+ * Triangulate a set of scattered points (Delaunay, Bowyer-Watson)
+ * Used to build a surface through level-survey readings that aren't on a neat grid.
+ *
+ * @param {Array<Object>} points - Points as { x, y } in metres (no duplicates)
+ * @returns {Array<Array<number>>} Triangles as [i, j, k] indexes into points
+ */
+function triangulatePoints(points) {
+  const n = points.length;
+  if (n < 3) return [];
+
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const span = Math.max(Math.max(...xs) - minX, Math.max(...ys) - minY) || 1;
+  const midX = minX + span / 2;
+  const midY = minY + span / 2;
+
+  // Start with one "super triangle" that contains every point
+  const all = points.concat([
+    { x: midX - 20 * span, y: midY - span },
+    { x: midX, y: midY + 20 * span },
+    { x: midX + 20 * span, y: midY - span }
+  ]);
+
+  const circumcircle = (i, j, k) => {
+    const a = all[i];
+    const b = all[j];
+    const c = all[k];
+    const d = 2 * (a.x * (b.y - c.y) + b.x * (c.y - a.y) + c.x * (a.y - b.y));
+    if (Math.abs(d) < 1e-12) {
+      return { x: 0, y: 0, r2: Infinity };
+    }
+    const a2 = a.x * a.x + a.y * a.y;
+    const b2 = b.x * b.x + b.y * b.y;
+    const c2 = c.x * c.x + c.y * c.y;
+    const x = (a2 * (b.y - c.y) + b2 * (c.y - a.y) + c2 * (a.y - b.y)) / d;
+    const y = (a2 * (c.x - b.x) + b2 * (a.x - c.x) + c2 * (b.x - a.x)) / d;
+    return { x, y, r2: (a.x - x) ** 2 + (a.y - y) ** 2 };
+  };
+
+  const makeTriangle = (i, j, k) => ({ v: [i, j, k], circle: circumcircle(i, j, k) });
+  let triangles = [makeTriangle(n, n + 1, n + 2)];
+
+  for (let p = 0; p < n; p++) {
+    const point = all[p];
+    const bad = [];
+    const good = [];
+    triangles.forEach(t => {
+      const inside = (point.x - t.circle.x) ** 2 + (point.y - t.circle.y) ** 2 < t.circle.r2 * (1 + 1e-9);
+      (inside ? bad : good).push(t);
+    });
+
+    // The hole left by the bad triangles is bounded by edges that only one of them uses
+    const edgeCount = new Map();
+    bad.forEach(t => {
+      [[t.v[0], t.v[1]], [t.v[1], t.v[2]], [t.v[2], t.v[0]]].forEach(([a, b]) => {
+        const key = a < b ? `${a},${b}` : `${b},${a}`;
+        edgeCount.set(key, (edgeCount.get(key) || 0) + 1);
+      });
+    });
+
+    edgeCount.forEach((count, key) => {
+      if (count === 1) {
+        const [a, b] = key.split(',').map(Number);
+        good.push(makeTriangle(a, b, p));
+      }
+    });
+    triangles = good;
+  }
+
+  // Drop anything attached to the super triangle, plus slivers from collinear points
+  return triangles
+    .map(t => t.v)
+    .filter(v => v.every(i => i < n))
+    .filter(([i, j, k]) => triangleArea(points[i], points[j], points[k]) > 1e-9);
+}
+
+/**
+ * Volume of a frustum of a cone (a round taper) from its two end diameters
+ * @param {number} topDiameter - Diameter at one end in metres
+ * @param {number} bottomDiameter - Diameter at the other end in metres
+ * @param {number} height - Height in metres
+ * @returns {number} Volume in m³
+ */
+function frustumVolume(topDiameter, bottomDiameter, height) {
+  return CONSTANTS.PI * height / 12 * (topDiameter * topDiameter + topDiameter * bottomDiameter + bottomDiameter * bottomDiameter);
+}
+
+// ===== SURVEY IMPORT =====
+
+/**
+ * Parse level-survey CSV text into points
+ * Expects x, y, finished level, subgrade level per row (metres). Comma, semicolon
+ * or tab separated; a non-numeric first row is treated as a header. Rows that
+ * can't be used are returned in errors rather than as NaN points.
+ *
+ * @param {string} text - Raw CSV text
+ * @returns {Object} { points: [{ row, x, y, finished, subgrade, thickness }], errors: [{ row, message }] }
+ */
+function parseSurveyCsv(text) {
+  const columns = ['x', 'y', 'finished level', 'subgrade level'];
+  const points = [];
+  const errors = [];
+  const seen = new Map();
+
+  (text || '').split(/\r?\n/).forEach((line, index) => {
+    const row = index + 1;
+    if (line.trim() === '') return;
+
+    const fields = line.split(/[,;\t]/).map(field => field.trim());
+    const values = fields.map(field => (field === '' ? NaN : Number(field)));
+
+    // Header row (e.g. "x,y,finished,subgrade")
+    if (points.length === 0 && errors.length === 0 && values.every(isNaN)) return;
+
+    if (fields.length !== columns.length) {
+      errors.push({ row, message: `Expected 4 values (x, y, finished level, subgrade level) but found ${fields.length}` });
+      return;
+    }
+
+    const badColumn = values.findIndex(value => !isFinite(value));
+    if (badColumn !== -1) {
+      errors.push({ row, message: `${columns[badColumn]} "${fields[badColumn]}" is not a number` });
+      return;
+    }
+
+    const [x, y, finished, subgrade] = values;
+    if (subgrade > finished) {
+      errors.push({ row, message: 'Subgrade level is above the finished level' });
+      return;
+    }
+
+    const key = `${x},${y}`;
+    if (seen.has(key)) {
+      errors.push({ row, message: `Same x, y as row ${seen.get(key)}` });
+      return;
+    }
+    seen.set(key, row);
+
+    points.push({ row, x, y, finished, subgrade, thickness: finished - subgrade });
+  });
+
+  return { points, errors };
+}
+
+/**
+ * Parse a slab outline for a level survey
+ * Expects x, y per row (metres), corners in drawing order, separated like the survey CSV.
+ *
+ * @param {string} text - Raw CSV text
+ * @returns {Object} { vertices: [{ x, y }], errors: [{ row, message }] }
+ */
+function parseOutlineCsv(text) {
+  const vertices = [];
+  const errors = [];
+
+  (text || '').split(/\r?\n/).forEach((line, index) => {
+    const row = index + 1;
+    if (line.trim() === '') return;
+
+    const fields = line.split(/[,;\t]/).map(field => field.trim());
+    const values = fields.map(field => (field === '' ? NaN : Number(field)));
+
+    // Header row (e.g. "x,y")
+    if (vertices.length === 0 && errors.length === 0 && values.every(isNaN)) return;
+
+    if (fields.length !== 2 || values.some(value => !isFinite(value))) {
+      errors.push({ row, message: 'Expected an x, y pair of numbers' });
+      return;
+    }
+
+    vertices.push({ x: values[0], y: values[1] });
+  });
+
+  return { vertices, errors };
+}
+
 // ===== CALCULATOR FUNCTIONS =====
 
 /**
@@ -145,9 +767,24 @@ function formatCurrency(value) {
  * @param {number} params.width - Width in metres
  * @param {number} params.depth - Depth/thickness in metres
  * @param {number} params.wastage - Wastage percentage (default: 10)
+ * @param {string} params.productId - Bag product ID (default: standard 20kg)
+ * @param {string} params.state - Australian state code for ready-mix pricing (optional)
+ * @param {string} params.postcode - Australian postcode for regional ready-mix pricing (optional)
+ * @param {number} params.bagPrice - Custom price per bag (optional - default: the product's range)
+ * @param {number} params.readymixPrice - Custom ready-mix price per m³ (optional)
  * @returns {Object} Calculation results
  */
-function calculateRectangularSlab({ length, width, depth, wastage = CONSTANTS.DEFAULT_WASTAGE }) {
+function calculateRectangularSlab({
+  length,
+  width,
+  depth,
+  wastage = CONSTANTS.DEFAULT_WASTAGE,
+  productId = CONSTANTS.DEFAULT_BAG_PRODUCT,
+  state = null,
+  postcode = null,
+  bagPrice = null,
+  readymixPrice = null
+}) {
   // Validate inputs
   if (!length || !width || !depth || length <= 0 || width <= 0 || depth <= 0) {
     return {
@@ -162,12 +799,13 @@ function calculateRectangularSlab({ length, width, depth, wastage = CONSTANTS.DE
   // Apply wastage
   const totalVolume = applyWastage(baseVolume, wastage);
 
-  // Calculate bags needed
-  const bags = calculateBags(totalVolume);
+  // Calculate bags needed for the selected product
+  const product = getBagProduct(productId);
+  const bags = calculateBags(totalVolume, product.id);
 
   // Calculate costs
-  const bagCost = calculateBagCost(bags);
-  const readymixCost = calculateReadymixCost(totalVolume);
+  const bagCost = calculateBagCost(bags, bagPrice || product.priceMin, bagPrice || product.priceMax);
+  const readymixCost = calculateReadymixCost(totalVolume, state, postcode, readymixPrice);
 
   return {
     valid: true,
@@ -175,357 +813,3371 @@ function calculateRectangularSlab({ length, width, depth, wastage = CONSTANTS.DE
       length,
       width,
       depth,
-      wastage
+      wastage,
+      productId: product.id,
+      state,
+      postcode,
+      bagPrice,
+      readymixPrice
     },
     results: {
       baseVolume,
       totalVolume,
       bags,
       bagCost,
-      readymixCost
+      readymixCost,
+      product
     },
     formula: {
       description: 'Volume = Length × Width × Depth',
       steps: [
         { label: 'Base volume', calc: `${formatNumber(length)} × ${formatNumber(width)} × ${formatNumber(depth)} = ${formatNumber(baseVolume)} m³` },
         { label: `Wastage (${wastage}%)`, calc: `${formatNumber(baseVolume)} × ${1 + wastage/100} = ${formatNumber(totalVolume)} m³` },
-        { label: 'Bags needed', calc: `${formatNumber(totalVolume)} × ${CONSTANTS.BAGS_PER_CUBIC_METRE} = ${bags} bags` }
+        { label: 'Bags needed', calc: `${formatNumber(totalVolume)} × ${product.bagsPerCubicMetre} = ${bags} × ${product.weight}kg bags` }
       ]
     }
   };
 }
 
 /**
- * Calculate concrete needed for post holes (fence posts, deck posts, etc.)
- * Hole Volume = π × r² × depth (minus post volume if specified)
+ * Calculate concrete needed for a rectangular slab whose thickness varies
+ * (poured to a fall, or over uneven subgrade)
+ * Volume = Length × Width × Average Depth, where the average comes from a
+ * grid of evenly spaced depth readings (or just the four corners)
  *
  * @param {Object} params - Input parameters
- * @param {number} params.holeDiameter - Hole diameter in metres
- * @param {number} params.holeDepth - Hole depth in metres
- * @param {number} params.postWidth - Post width/diameter in metres (optional)
- * @param {number} params.postCount - Number of posts (default: 1)
- * @param {string} params.postShape - 'round' or 'square' (default: 'square')
+ * @param {number} params.length - Length in metres
+ * @param {number} params.width - Width in metres
+ * @param {Array<Array<number>>} params.depths - Rows of depth readings in metres, at least 2 × 2.
+ *   Rows run along the length and columns across the width; [[a, b], [c, d]] is the four corners.
  * @param {number} params.wastage - Wastage percentage (default: 10)
+ * @param {string} params.productId - Bag product ID (default: standard 20kg)
+ * @param {string} params.state - Australian state code for ready-mix pricing (optional)
+ * @param {string} params.postcode - Australian postcode for regional ready-mix pricing (optional)
+ * @param {number} params.bagPrice - Custom price per bag (optional - default: the product's range)
+ * @param {number} params.readymixPrice - Custom ready-mix price per m³ (optional)
  * @returns {Object} Calculation results
  */
-function calculatePostHole({
-  holeDiameter,
-  holeDepth,
-  postWidth = 0,
-  postCount = 1,
-  postShape = 'square',
-  wastage = CONSTANTS.DEFAULT_WASTAGE
+function calculateVariableDepthSlab({
+  length,
+  width,
+  depths,
+  wastage = CONSTANTS.DEFAULT_WASTAGE,
+  productId = CONSTANTS.DEFAULT_BAG_PRODUCT,
+  state = null,
+  postcode = null,
+  bagPrice = null,
+  readymixPrice = null
 }) {
   // Validate inputs
-  if (!holeDiameter || !holeDepth || holeDiameter <= 0 || holeDepth <= 0 || postCount < 1) {
+  if (!length || !width || length <= 0 || width <= 0) {
     return {
       valid: false,
       error: 'Please enter valid positive dimensions'
     };
   }
-
-  const holeRadius = holeDiameter / 2;
-
-  // Calculate hole volume (cylindrical)
-  const holeVolume = CONSTANTS.PI * Math.pow(holeRadius, 2) * holeDepth;
-
-  // Calculate post volume to subtract (if post dimensions provided)
-  let postVolume = 0;
-  if (postWidth > 0) {
-    if (postShape === 'round') {
-      const postRadius = postWidth / 2;
-      postVolume = CONSTANTS.PI * Math.pow(postRadius, 2) * holeDepth;
-    } else {
-      // Square post
-      postVolume = postWidth * postWidth * holeDepth;
-    }
+  if (!Array.isArray(depths) || depths.length < 2 || !Array.isArray(depths[0]) || depths[0].length < 2) {
+    return {
+      valid: false,
+      error: 'Please enter at least a 2 × 2 grid of depths'
+    };
+  }
+  if (depths.some(row => !Array.isArray(row) || row.length !== depths[0].length)) {
+    return {
+      valid: false,
+      error: 'Every row of depths needs the same number of readings'
+    };
+  }
+  if (depths.some(row => row.some(depth => !depth || depth <= 0))) {
+    return {
+      valid: false,
+      error: 'Please enter a valid depth at every point'
+    };
   }
 
-  // Volume per hole (concrete only)
-  const concretePerHole = holeVolume - postVolume;
+  const grid = gridAverageDepth(depths);
+  const area = length * width;
 
-  // Total base volume
-  const baseVolume = concretePerHole * postCount;
+  // Calculate base volume
+  const baseVolume = area * grid.average;
 
   // Apply wastage
   const totalVolume = applyWastage(baseVolume, wastage);
 
-  // Calculate bags and costs
-  const bags = calculateBags(totalVolume);
-  const bagCost = calculateBagCost(bags);
-  const readymixCost = calculateReadymixCost(totalVolume);
+  // Calculate bags and costs for the selected product
+  const product = getBagProduct(productId);
+  const bags = calculateBags(totalVolume, product.id);
+  const bagCost = calculateBagCost(bags, bagPrice || product.priceMin, bagPrice || product.priceMax);
+  const readymixCost = calculateReadymixCost(totalVolume, state, postcode, readymixPrice);
+
+  // Show depths in mm in the breakdown - metres to 2 decimals hides the fall
+  const mm = value => `${formatNumber(metresToMm(value), 0)}mm`;
+  const sumMm = value => formatNumber(metresToMm(value), 0);
+
+  let averageStep;
+  if (grid.cells === 1) {
+    averageStep = {
+      label: 'Average depth (4 corners)',
+      calc: `(${depths.flat().map(sumMm).join(' + ')}) ÷ 4 = ${mm(grid.average)}`
+    };
+  } else {
+    averageStep = {
+      label: `Average depth (${grid.rows} × ${grid.cols} grid)`,
+      calc: `(corners ${sumMm(grid.sums.corner)} + 2 × edges ${sumMm(grid.sums.edge)} + 4 × interior ${sumMm(grid.sums.interior)}) ÷ (4 × ${grid.cells} cells) = ${mm(grid.average)}`
+    };
+  }
 
   return {
     valid: true,
     inputs: {
-      holeDiameter,
-      holeDepth,
-      postWidth,
-      postCount,
-      postShape,
-      wastage
+      length,
+      width,
+      depths,
+      wastage,
+      productId: product.id,
+      state,
+      postcode,
+      bagPrice,
+      readymixPrice
     },
     results: {
-      holeVolume,
-      postVolume,
-      concretePerHole,
+      area,
+      minDepth: grid.min,
+      maxDepth: grid.max,
+      averageDepth: grid.average,
       baseVolume,
       totalVolume,
       bags,
       bagCost,
-      readymixCost
+      readymixCost,
+      product
     },
     formula: {
-      description: 'Volume = (π × r² × depth) - post volume',
+      description: 'Volume = Length × Width × Average Depth',
       steps: [
-        { label: 'Hole volume', calc: `π × ${formatNumber(holeRadius)}² × ${formatNumber(holeDepth)} = ${formatNumber(holeVolume, 4)} m³` },
-        ...(postVolume > 0 ? [{ label: 'Post volume', calc: `${postShape === 'round' ? `π × ${formatNumber(postWidth/2)}² × ${formatNumber(holeDepth)}` : `${formatNumber(postWidth)} × ${formatNumber(postWidth)} × ${formatNumber(holeDepth)}`} = ${formatNumber(postVolume, 4)} m³` }] : []),
-        { label: 'Concrete per hole', calc: `${formatNumber(holeVolume, 4)} - ${formatNumber(postVolume, 4)} = ${formatNumber(concretePerHole, 4)} m³` },
-        ...(postCount > 1 ? [{ label: `Total (${postCount} holes)`, calc: `${formatNumber(concretePerHole, 4)} × ${postCount} = ${formatNumber(baseVolume, 4)} m³` }] : []),
-        { label: `With wastage (${wastage}%)`, calc: `${formatNumber(baseVolume, 4)} × ${1 + wastage/100} = ${formatNumber(totalVolume, 4)} m³` },
-        { label: 'Bags needed', calc: `${formatNumber(totalVolume, 4)} × ${CONSTANTS.BAGS_PER_CUBIC_METRE} = ${bags} bags` }
+        { label: 'Thickness range', calc: `${mm(grid.min)} to ${mm(grid.max)}` },
+        averageStep,
+        { label: 'Base volume', calc: `${formatNumber(length)} × ${formatNumber(width)} × ${formatNumber(grid.average, 3)} = ${formatNumber(baseVolume)} m³` },
+        { label: `Wastage (${wastage}%)`, calc: `${formatNumber(baseVolume)} × ${1 + wastage/100} = ${formatNumber(totalVolume)} m³` },
+        { label: 'Bags needed', calc: `${formatNumber(totalVolume)} × ${product.bagsPerCubicMetre} = ${bags} × ${product.weight}kg bags` }
       ]
     }
   };
 }
 
 /**
- * Calculate concrete needed for strip footings
- * Volume = Length × Width × Depth
+ * Calculate concrete needed for a slab from level-survey readings
+ * Thickness at each point = finished level − subgrade level. The points are
+ * triangulated and each triangle contributes its area × the average of its
+ * three corner thicknesses.
+ *
+ * The triangulation covers the convex hull of the points, so an L-shaped or
+ * notched slab needs its outline: each triangle is clipped to it, and the
+ * thickness surface is integrated over the part inside. Parts of the outline
+ * beyond the survey points can't be measured and raise a warning. Without an
+ * outline, a warning is raised when triangles bridge gaps much wider than the
+ * survey spacing.
  *
  * @param {Object} params - Input parameters
- * @param {number} params.length - Footing length in metres
- * @param {number} params.width - Footing width in metres
- * @param {number} params.depth - Footing depth in metres
- * @param {number} params.footingCount - Number of footings (default: 1)
+ * @param {string} params.csv - Survey CSV text (x, y, finished level, subgrade level per row)
+ * @param {Array<Object>} params.points - Alternative to csv: points as { x, y, finished, subgrade }
+ * @param {string} params.outlineCsv - Slab outline CSV text (x, y per corner, optional)
+ * @param {Array<Object>} params.outline - Alternative to outlineCsv: corners as { x, y } (optional)
  * @param {number} params.wastage - Wastage percentage (default: 10)
- * @returns {Object} Calculation results
+ * @param {string} params.productId - Bag product ID (default: standard 20kg)
+ * @param {string} params.state - Australian state code for ready-mix pricing (optional)
+ * @param {string} params.postcode - Australian postcode for regional ready-mix pricing (optional)
+ * @param {number} params.bagPrice - Custom price per bag (optional - default: the product's range)
+ * @param {number} params.readymixPrice - Custom ready-mix price per m³ (optional)
+ * @returns {Object} Calculation results (errors lists unreadable CSV rows)
  */
-function calculateFooting({
-  length,
-  width,
-  depth,
-  footingCount = 1,
-  wastage = CONSTANTS.DEFAULT_WASTAGE
+function calculateSurveySlab({
+  csv = null,
+  points = null,
+  outlineCsv = null,
+  outline = null,
+  wastage = CONSTANTS.DEFAULT_WASTAGE,
+  productId = CONSTANTS.DEFAULT_BAG_PRODUCT,
+  state = null,
+  postcode = null,
+  bagPrice = null,
+  readymixPrice = null
 }) {
+  const parsed = csv !== null
+    ? parseSurveyCsv(csv)
+    : parseSurveyCsv((points || []).map(p => [p.x, p.y, p.finished, p.subgrade].join(',')).join('\n'));
+
   // Validate inputs
-  if (!length || !width || !depth || length <= 0 || width <= 0 || depth <= 0 || footingCount < 1) {
+  if (parsed.errors.length > 0) {
     return {
       valid: false,
-      error: 'Please enter valid positive dimensions'
+      error: parsed.errors.length === 1
+        ? `Row ${parsed.errors[0].row}: ${parsed.errors[0].message}`
+        : `${parsed.errors.length} rows could not be read`,
+      errors: parsed.errors
     };
   }
 
-  // Calculate volume per footing
-  const volumePerFooting = length * width * depth;
-
-  // Total base volume
-  const baseVolume = volumePerFooting * footingCount;
-
-  // Apply wastage
-  const totalVolume = applyWastage(baseVolume, wastage);
+  const survey = parsed.points;
+  if (survey.length < 3) {
+    return {
+      valid: false,
+      error: 'Please enter at least 3 survey points',
+      errors: []
+    };
+  }
 
-  // Calculate bags and costs
-  const bags = calculateBags(totalVolume);
-  const bagCost = calculateBagCost(bags);
-  const readymixCost = calculateReadymixCost(totalVolume);
+  const parsedOutline = outlineCsv !== null && outlineCsv.trim() !== ''
+    ? parseOutlineCsv(outlineCsv)
+    : { vertices: outline || [], errors: [] };
+  if (parsedOutline.errors.length > 0) {
+    return {
+      valid: false,
+      error: `Outline row ${parsedOutline.errors[0].row}: ${parsedOutline.errors[0].message}`,
+      errors: []
+    };
+  }
+  const boundary = parsedOutline.vertices;
+  if (boundary.length > 0 && (boundary.length < 3 || polygonArea(boundary) <= 0)) {
+    return {
+      valid: false,
+      error: 'The slab outline needs at least 3 corners that enclose an area',
+      errors: []
+    };
+  }
+
+  const hullTriangles = triangulatePoints(survey);
+  if (hullTriangles.length === 0) {
+    return {
+      valid: false,
+      error: 'Survey points are all in a line - they need to cover an area',
+      errors: []
+    };
+  }
+
+  // Clip each triangle to the outline (the hull fills in notches). Thickness is
+  // linear over a triangle, so a clipped piece's volume is its area × the
+  // thickness at its centroid.
+  const pieces = hullTriangles.map(([i, j, k]) => {
+    const corners = [survey[i], survey[j], survey[k]];
+    if (boundary.length === 0) {
+      return {
+        triangle: [i, j, k],
+        area: triangleArea(...corners),
+        thickness: (corners[0].thickness + corners[1].thickness + corners[2].thickness) / 3
+      };
+    }
+    const clipped = clipPolygonToConvex(boundary, corners);
+    const pieceArea = clipped.length >= 3 ? polygonArea(clipped) : 0;
+    if (pieceArea < 1e-9) {
+      return { triangle: [i, j, k], area: 0, thickness: 0 };
+    }
+    // Barycentric weights of the clipped piece's centroid
+    const centre = polygonCentroid(clipped);
+    const whole = triangleArea(...corners);
+    const weights = [
+      triangleArea(centre, corners[1], corners[2]),
+      triangleArea(corners[0], centre, corners[2]),
+      triangleArea(corners[0], corners[1], centre)
+    ].map(part => part / whole);
+    return {
+      triangle: [i, j, k],
+      area: pieceArea,
+      thickness: weights.reduce((sum, weight, n) => sum + weight * corners[n].thickness, 0)
+    };
+  }).filter(piece => piece.area > 0);
+  const triangles = pieces.map(piece => piece.triangle);
+  if (triangles.length === 0) {
+    return {
+      valid: false,
+      error: 'None of the survey points form triangles inside the slab outline',
+      errors: []
+    };
+  }
+
+  // Without an outline, flag triangles spanning more than twice the widest gap between neighbouring points
+  const warnings = [];
+  if (boundary.length === 0) {
+    const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+    const spacing = Math.max(...survey.map((p, i) => Math.min(...survey.filter((q, j) => j !== i).map(q => distance(p, q)))));
+    const bridgesGap = triangles.some(([i, j, k]) => Math.max(
+      distance(survey[i], survey[j]), distance(survey[j], survey[k]), distance(survey[k], survey[i])
+    ) > 2 * spacing + 1e-9);
+    if (bridgesGap) {
+      warnings.push('Some triangles span gaps much wider than the survey spacing, so the area may include a notch or corner that is not part of the slab. Add the slab outline to leave it out.');
+    }
+  }
+
+  // Sum each triangle's area and volume
+  let area = 0;
+  let baseVolume = 0;
+  pieces.forEach(piece => {
+    area += piece.area;
+    baseVolume += piece.area * piece.thickness;
+  });
+
+  // Outline area beyond the survey points has no levels to measure
+  if (boundary.length > 0) {
+    const uncovered = polygonArea(boundary) - area;
+    if (uncovered > 0.01 * area) {
+      warnings.push(`${formatNumber(uncovered)} m² of the slab outline lies outside the survey points and isn't included. Add readings out to the outline corners.`);
+    }
+  }
+
+  const thicknesses = survey.map(p => p.thickness);
+  const minDepth = Math.min(...thicknesses);
+  const maxDepth = Math.max(...thicknesses);
+  const averageDepth = baseVolume / area;
+
+  // Apply wastage
+  const totalVolume = applyWastage(baseVolume, wastage);
+
+  // Calculate bags and costs for the selected product
+  const product = getBagProduct(productId);
+  const bags = calculateBags(totalVolume, product.id);
+  const bagCost = calculateBagCost(bags, bagPrice || product.priceMin, bagPrice || product.priceMax);
+  const readymixCost = calculateReadymixCost(totalVolume, state, postcode, readymixPrice);
+
+  const mm = value => `${formatNumber(metresToMm(value), 0)}mm`;
+
+  return {
+    valid: true,
+    inputs: {
+      points: survey,
+      outline: boundary.length > 0 ? boundary : null,
+      wastage,
+      productId: product.id,
+      state,
+      postcode,
+      bagPrice,
+      readymixPrice
+    },
+    results: {
+      points: survey,
+      outline: boundary.length > 0 ? boundary : null,
+      triangles,
+      area,
+      minDepth,
+      maxDepth,
+      averageDepth,
+      baseVolume,
+      totalVolume,
+      bags,
+      bagCost,
+      readymixCost,
+      product,
+      warnings
+    },
+    formula: {
+      description: 'Volume = Σ (Triangle Area × Average of its 3 Thicknesses)',
+      steps: [
+        { label: 'Survey', calc: `${survey.length} points → ${triangles.length} triangles` },
+        ...(boundary.length > 0
+          ? [{ label: 'Slab outline', calc: `${boundary.length} corners, ${triangles.length} of ${hullTriangles.length} triangles clipped to it` }]
+          : [{ label: 'Slab outline', calc: 'None given - convex hull of the points' }]),
+        { label: 'Thickness (finished − subgrade)', calc: `${mm(minDepth)} to ${mm(maxDepth)}` },
+        { label: 'Plan area', calc: `Σ triangle areas = ${formatNumber(area)} m²` },
+        { label: 'Base volume', calc: `Σ (area × average thickness) = ${formatNumber(baseVolume)} m³` },
+        { label: 'Average thickness', calc: `${formatNumber(baseVolume)} ÷ ${formatNumber(area)} = ${mm(averageDepth)}` },
+        { label: `Wastage (${wastage}%)`, calc: `${formatNumber(baseVolume)} × ${1 + wastage/100} = ${formatNumber(totalVolume)} m³` },
+        { label: 'Bags needed', calc: `${formatNumber(totalVolume)} × ${product.bagsPerCubicMetre} = ${bags} × ${product.weight}kg bags` }
+      ]
+    }
+  };
+}
+
+/**
+ * Calculate concrete needed for an L-shaped, T-shaped or irregular slab
+ * Area = shoelace formula over the outline, Volume = Area × Depth
+ *
+ * @param {Object} params - Input parameters
+ * @param {Array<Object>} params.vertices - Outline vertices as { x, y } in metres
+ * @param {Array<Object>} params.edges - Alternative outline as { length, turn } (used if no vertices given)
+ * @param {number} params.depth - Depth/thickness in metres
+ * @param {number} params.wastage - Wastage percentage (default: 10)
+ * @param {string} params.productId - Bag product ID (default: standard 20kg)
+ * @param {string} params.state - Australian state code for ready-mix pricing (optional)
+ * @param {string} params.postcode - Australian postcode for regional ready-mix pricing (optional)
+ * @param {number} params.bagPrice - Custom price per bag (optional - default: the product's range)
+ * @param {number} params.readymixPrice - Custom ready-mix price per m³ (optional)
+ * @returns {Object} Calculation results
+ */
+function calculatePolygonSlab({
+  vertices = null,
+  edges = null,
+  depth,
+  wastage = CONSTANTS.DEFAULT_WASTAGE,
+  productId = CONSTANTS.DEFAULT_BAG_PRODUCT,
+  state = null,
+  postcode = null,
+  bagPrice = null,
+  readymixPrice = null
+}) {
+  let outline = vertices;
+
+  // Build the outline from edges if no vertices were given
+  if ((!outline || outline.length === 0) && edges && edges.length > 0) {
+    if (edges.some(edge => !edge.length || edge.length <= 0)) {
+      return {
+        valid: false,
+        error: 'Please enter a positive length for every edge'
+      };
+    }
+    const walked = edgesToVertices(edges);
+    if (walked.closureError > OUTLINE_CLOSURE_TOLERANCE) {
+      return {
+        valid: false,
+        error: `Outline does not close - the last edge ends ${formatNumber(walked.closureError)} m from the start`
+      };
+    }
+    outline = walked.vertices;
+  }
+
+  // Validate inputs
+  if (!outline || outline.length < 3) {
+    return {
+      valid: false,
+      error: 'Please enter at least 3 corners'
+    };
+  }
+  if (outline.some(v => !isFinite(v.x) || !isFinite(v.y))) {
+    return {
+      valid: false,
+      error: 'Please enter valid coordinates'
+    };
+  }
+  if (!depth || depth <= 0) {
+    return {
+      valid: false,
+      error: 'Please enter a valid thickness'
+    };
+  }
+
+  const area = polygonArea(outline);
+  if (area <= 0) {
+    return {
+      valid: false,
+      error: 'Outline has no area - check the corners are in order'
+    };
+  }
+  const perimeter = polygonPerimeter(outline);
+
+  // Shoelace cross-product terms for the formula breakdown
+  const shoelaceTerms = outline.map((v, i) => {
+    const next = outline[(i + 1) % outline.length];
+    return `(${formatNumber(v.x)}×${formatNumber(next.y)} − ${formatNumber(next.x)}×${formatNumber(v.y)})`;
+  }).join(' + ');
+
+  // Calculate base volume
+  const baseVolume = area * depth;
+
+  // Apply wastage
+  const totalVolume = applyWastage(baseVolume, wastage);
+
+  // Calculate bags and costs for the selected product
+  const product = getBagProduct(productId);
+  const bags = calculateBags(totalVolume, product.id);
+  const bagCost = calculateBagCost(bags, bagPrice || product.priceMin, bagPrice || product.priceMax);
+  const readymixCost = calculateReadymixCost(totalVolume, state, postcode, readymixPrice);
+
+  return {
+    valid: true,
+    inputs: {
+      vertices: outline,
+      depth,
+      wastage,
+      productId: product.id,
+      state,
+      postcode,
+      bagPrice,
+      readymixPrice
+    },
+    results: {
+      area,
+      perimeter,
+      vertices: outline,
+      baseVolume,
+      totalVolume,
+      bags,
+      bagCost,
+      readymixCost,
+      product
+    },
+    formula: {
+      description: 'Area = ½ × |Σ(xᵢ × yᵢ₊₁ − xᵢ₊₁ × yᵢ)|, Volume = Area × Depth',
+      steps: [
+        { label: `Area (${outline.length} corners)`, calc: `½ × |${shoelaceTerms}| = ${formatNumber(area)} m²` },
+        { label: 'Perimeter', calc: `${formatNumber(perimeter)} m` },
+        { label: 'Base volume', calc: `${formatNumber(area)} × ${formatNumber(depth)} = ${formatNumber(baseVolume)} m³` },
+        { label: `Wastage (${wastage}%)`, calc: `${formatNumber(baseVolume)} × ${1 + wastage/100} = ${formatNumber(totalVolume)} m³` },
+        { label: 'Bags needed', calc: `${formatNumber(totalVolume)} × ${product.bagsPerCubicMetre} = ${bags} × ${product.weight}kg bags` }
+      ]
+    }
+  };
+}
+
+/**
+ * Calculate concrete needed for a raft slab with thickened edges and optional
+ * internal beams (AS 2870 style shed and garage slabs)
+ * Beam depths are measured from the top of the slab, so only the part of each
+ * beam below the slab is added. Internal beams stop at the inside face of the
+ * edge beams, and crossings between internal beams are only counted once.
+ * Spacings that would overlap beams side by side or with the edge beams are
+ * rejected rather than double counted.
+ *
+ * @param {Object} params - Input parameters
+ * @param {number} params.length - Slab length in metres
+ * @param {number} params.width - Slab width in metres
+ * @param {number} params.thickness - Slab thickness in metres
+ * @param {number} params.edgeBeamWidth - Edge beam width in metres
+ * @param {number} params.edgeBeamDepth - Edge beam depth from top of slab in metres
+ * @param {number} params.internalBeamWidth - Internal beam width in metres (optional)
+ * @param {number} params.internalBeamDepth - Internal beam depth from top of slab in metres (optional)
+ * @param {number} params.internalBeamSpacing - Maximum centre-to-centre beam spacing in metres (0 = no internal beams)
+ * @param {string} params.internalBeamDirection - 'both', 'length' (beams run along the length) or 'width' (default: 'both')
+ * @param {number} params.wastage - Wastage percentage (default: 10)
+ * @param {string} params.productId - Bag product ID (default: standard 20kg)
+ * @param {string} params.state - Australian state code for ready-mix pricing (optional)
+ * @param {string} params.postcode - Australian postcode for regional ready-mix pricing (optional)
+ * @param {number} params.bagPrice - Custom price per bag (optional - default: the product's range)
+ * @param {number} params.readymixPrice - Custom ready-mix price per m³ (optional)
+ * @returns {Object} Calculation results
+ */
+function calculateRaftSlab({
+  length,
+  width,
+  thickness,
+  edgeBeamWidth,
+  edgeBeamDepth,
+  internalBeamWidth = 0,
+  internalBeamDepth = 0,
+  internalBeamSpacing = 0,
+  internalBeamDirection = 'both',
+  wastage = CONSTANTS.DEFAULT_WASTAGE,
+  productId = CONSTANTS.DEFAULT_BAG_PRODUCT,
+  state = null,
+  postcode = null,
+  bagPrice = null,
+  readymixPrice = null
+}) {
+  // Validate inputs
+  if (!length || !width || !thickness || length <= 0 || width <= 0 || thickness <= 0) {
+    return {
+      valid: false,
+      error: 'Please enter valid positive dimensions'
+    };
+  }
+  if (!edgeBeamWidth || !edgeBeamDepth || edgeBeamWidth <= 0 || edgeBeamDepth <= 0) {
+    return {
+      valid: false,
+      error: 'Please enter the edge beam width and depth'
+    };
+  }
+  if (edgeBeamDepth < thickness) {
+    return {
+      valid: false,
+      error: 'Edge beam depth is measured from the top of the slab, so it must be at least the slab thickness'
+    };
+  }
+  if (edgeBeamWidth * 2 >= Math.min(length, width)) {
+    return {
+      valid: false,
+      error: 'Edge beams are too wide for the slab'
+    };
+  }
+
+  const hasInternalBeams = internalBeamSpacing > 0;
+  if (hasInternalBeams) {
+    if (!internalBeamWidth || !internalBeamDepth || internalBeamWidth <= 0 || internalBeamDepth <= 0) {
+      return {
+        valid: false,
+        error: 'Please enter the internal beam width and depth'
+      };
+    }
+    if (internalBeamDepth < thickness) {
+      return {
+        valid: false,
+        error: 'Internal beam depth is measured from the top of the slab, so it must be at least the slab thickness'
+      };
+    }
+  }
+
+  // Slab itself, full thickness over the whole footprint
+  const slabVolume = length * width * thickness;
+
+  // Edge beams: the ring around the perimeter, below the slab only
+  const innerLength = length - 2 * edgeBeamWidth;
+  const innerWidth = width - 2 * edgeBeamWidth;
+  const edgeBeamArea = length * width - innerLength * innerWidth;
+  const edgeDownstand = edgeBeamDepth - thickness;
+  const edgeBeamVolume = edgeBeamArea * edgeDownstand;
+
+  // Internal beams at no more than the given spacing, between the edge beams
+  let beamsAlongLength = 0;
+  let beamsAlongWidth = 0;
+  let crossings = 0;
+  let internalBeamRun = 0;
+  let internalBeamVolume = 0;
+  const internalDownstand = hasInternalBeams ? internalBeamDepth - thickness : 0;
+
+  if (hasInternalBeams) {
+    // Beams running along the length are spaced across the width, and vice versa
+    if (internalBeamDirection !== 'width') {
+      beamsAlongLength = Math.max(0, Math.ceil(width / internalBeamSpacing) - 1);
+    }
+    if (internalBeamDirection !== 'length') {
+      beamsAlongWidth = Math.max(0, Math.ceil(length / internalBeamSpacing) - 1);
+    }
+
+    // Beams are evenly spaced across the footprint. They must stay clear of each other
+    // and of the edge beams, as only the crossings are taken back out below.
+    const spacings = [[beamsAlongLength, width], [beamsAlongWidth, length]]
+      .filter(([count]) => count > 0)
+      .map(([count, span]) => span / (count + 1));
+    if (spacings.some(spacing => spacing <= internalBeamWidth)) {
+      return {
+        valid: false,
+        error: 'Internal beams would overlap each other - the beam spacing must be more than the beam width'
+      };
+    }
+    if (spacings.some(spacing => spacing - internalBeamWidth / 2 < edgeBeamWidth)) {
+      return {
+        valid: false,
+        error: 'The outer internal beams would sit inside the edge beams - increase the beam spacing'
+      };
+    }
+
+    crossings = beamsAlongLength * beamsAlongWidth;
+    internalBeamRun = beamsAlongLength * innerLength + beamsAlongWidth * innerWidth;
+
+    // Each crossing is in both runs, so take one square of beam back out
+    const beamPlanArea = internalBeamRun * internalBeamWidth - crossings * internalBeamWidth * internalBeamWidth;
+    internalBeamVolume = beamPlanArea * internalDownstand;
+  }
+
+  const beamVolume = edgeBeamVolume + internalBeamVolume;
+  const baseVolume = slabVolume + beamVolume;
+
+  // Apply wastage
+  const totalVolume = applyWastage(baseVolume, wastage);
+
+  // Calculate bags and costs for the selected product
+  const product = getBagProduct(productId);
+  const bags = calculateBags(totalVolume, product.id);
+  const bagCost = calculateBagCost(bags, bagPrice || product.priceMin, bagPrice || product.priceMax);
+  const readymixCost = calculateReadymixCost(totalVolume, state, postcode, readymixPrice);
+
+  const internalSteps = [];
+  if (hasInternalBeams && internalBeamRun > 0) {
+    const runParts = [];
+    if (beamsAlongLength > 0) runParts.push(`${beamsAlongLength} × ${formatNumber(innerLength)}`);
+    if (beamsAlongWidth > 0) runParts.push(`${beamsAlongWidth} × ${formatNumber(innerWidth)}`);
+    internalSteps.push({
+      label: 'Internal beam run',
+      calc: `${runParts.join(' + ')} = ${formatNumber(internalBeamRun)} m (${crossings} crossing${crossings === 1 ? '' : 's'})`
+    });
+    internalSteps.push({
+      label: 'Internal beams (below slab)',
+      calc: `(${formatNumber(internalBeamRun)} × ${formatNumber(internalBeamWidth)} − ${crossings} × ${formatNumber(internalBeamWidth)}²) × ${formatNumber(internalDownstand)} = ${formatNumber(internalBeamVolume)} m³`
+    });
+  }
+
+  return {
+    valid: true,
+    inputs: {
+      length,
+      width,
+      thickness,
+      edgeBeamWidth,
+      edgeBeamDepth,
+      internalBeamWidth,
+      internalBeamDepth,
+      internalBeamSpacing,
+      internalBeamDirection,
+      wastage,
+      productId: product.id,
+      state,
+      postcode,
+      bagPrice,
+      readymixPrice
+    },
+    results: {
+      slabVolume,
+      edgeBeamVolume,
+      internalBeamVolume,
+      beamVolume,
+      beamsAlongLength,
+      beamsAlongWidth,
+      internalBeamRun,
+      baseVolume,
+      totalVolume,
+      bags,
+      bagCost,
+      readymixCost,
+      product
+    },
+    formula: {
+      description: 'Volume = Slab + Edge Beams below slab + Internal Beams below slab',
+      steps: [
+        { label: 'Slab', calc: `${formatNumber(length)} × ${formatNumber(width)} × ${formatNumber(thickness, 3)} = ${formatNumber(slabVolume)} m³` },
+        { label: 'Edge beam ring area', calc: `${formatNumber(length)} × ${formatNumber(width)} − ${formatNumber(innerLength)} × ${formatNumber(innerWidth)} = ${formatNumber(edgeBeamArea)} m²` },
+        { label: 'Edge beams (below slab)', calc: `${formatNumber(edgeBeamArea)} × (${formatNumber(edgeBeamDepth, 3)} − ${formatNumber(thickness, 3)}) = ${formatNumber(edgeBeamVolume)} m³` },
+        ...internalSteps,
+        { label: 'Base volume', calc: `${formatNumber(slabVolume)} + ${formatNumber(edgeBeamVolume)}${internalBeamVolume > 0 ? ` + ${formatNumber(internalBeamVolume)}` : ''} = ${formatNumber(baseVolume)} m³` },
+        { label: `Wastage (${wastage}%)`, calc: `${formatNumber(baseVolume)} × ${1 + wastage/100} = ${formatNumber(totalVolume)} m³` },
+        { label: 'Bags needed', calc: `${formatNumber(totalVolume)} × ${product.bagsPerCubicMetre} = ${bags} × ${product.weight}kg bags` }
+      ]
+    }
+  };
+}
+
+/**
+ * Calculate concrete needed for a waffle pod slab
+ * Pods sit on a grid inside the edge beams with a rib between each one. Volume is
+ * the topping over the whole footprint, plus the edge beams below the topping,
+ * plus the rib zone between the edge beams less the space taken by the pods.
+ *
+ * @param {Object} params - Input parameters
+ * @param {number} params.length - Slab length in metres
+ * @param {number} params.width - Slab width in metres
+ * @param {number} params.podSize - Pod length/width in metres (square pods, e.g. 1.09)
+ * @param {number} params.podHeight - Pod height in metres (e.g. 0.225)
+ * @param {number} params.ribWidth - Rib width between pods in metres (e.g. 0.11)
+ * @param {number} params.toppingThickness - Topping slab thickness over the pods in metres (e.g. 0.085)
+ * @param {number} params.edgeBeamWidth - Edge beam width in metres
+ * @param {number} params.edgeBeamDepth - Edge beam depth from top of slab in metres
+ * @param {number} params.wastage - Wastage percentage (default: 10)
+ * @param {string} params.productId - Bag product ID (default: standard 20kg)
+ * @param {string} params.state - Australian state code for ready-mix pricing (optional)
+ * @param {string} params.postcode - Australian postcode for regional ready-mix pricing (optional)
+ * @param {number} params.bagPrice - Custom price per bag (optional - default: the product's range)
+ * @param {number} params.readymixPrice - Custom ready-mix price per m³ (optional)
+ * @returns {Object} Calculation results
+ */
+function calculateWafflePodSlab({
+  length,
+  width,
+  podSize = mmToMetres(CONSTANTS.WAFFLE_POD_SIZE),
+  podHeight,
+  ribWidth,
+  toppingThickness,
+  edgeBeamWidth,
+  edgeBeamDepth,
+  wastage = CONSTANTS.DEFAULT_WASTAGE,
+  productId = CONSTANTS.DEFAULT_BAG_PRODUCT,
+  state = null,
+  postcode = null,
+  bagPrice = null,
+  readymixPrice = null
+}) {
+  // Validate inputs
+  if (!length || !width || length <= 0 || width <= 0) {
+    return {
+      valid: false,
+      error: 'Please enter valid positive dimensions'
+    };
+  }
+  if (!podSize || !podHeight || !ribWidth || !toppingThickness || podSize <= 0 || podHeight <= 0 || ribWidth <= 0 || toppingThickness <= 0) {
+    return {
+      valid: false,
+      error: 'Please enter the pod size, pod height, rib width and topping thickness'
+    };
+  }
+  if (!edgeBeamWidth || !edgeBeamDepth || edgeBeamWidth <= 0 || edgeBeamDepth <= 0) {
+    return {
+      valid: false,
+      error: 'Please enter the edge beam width and depth'
+    };
+  }
+  if (edgeBeamDepth < toppingThickness + podHeight) {
+    return {
+      valid: false,
+      error: 'Edge beam depth must be at least the topping thickness plus the pod height'
+    };
+  }
+
+  const innerLength = length - 2 * edgeBeamWidth;
+  const innerWidth = width - 2 * edgeBeamWidth;
+
+  // Pods fill the space between the edge beams, one rib between neighbours
+  const podsAlongLength = Math.max(0, Math.floor((innerLength + ribWidth) / (podSize + ribWidth)));
+  const podsAlongWidth = Math.max(0, Math.floor((innerWidth + ribWidth) / (podSize + ribWidth)));
+  const podCount = podsAlongLength * podsAlongWidth;
+  if (podCount === 0) {
+    return {
+      valid: false,
+      error: 'Slab is too small to fit any pods inside the edge beams'
+    };
+  }
+
+  // Topping over the whole footprint
+  const toppingVolume = length * width * toppingThickness;
+
+  // Edge beams: the ring around the perimeter, below the topping
+  const edgeBeamArea = length * width - innerLength * innerWidth;
+  const edgeBeamVolume = edgeBeamArea * (edgeBeamDepth - toppingThickness);
+
+  // Rib zone between the edge beams, less the pods
+  const ribZoneVolume = innerLength * innerWidth * podHeight;
+  const podVolume = podCount * podSize * podSize * podHeight;
+  const ribVolume = ribZoneVolume - podVolume;
+
+  const baseVolume = toppingVolume + edgeBeamVolume + ribVolume;
+  const solidVolume = toppingVolume + edgeBeamVolume + ribZoneVolume;
+
+  // Apply wastage
+  const totalVolume = applyWastage(baseVolume, wastage);
+
+  // Calculate bags and costs for the selected product
+  const product = getBagProduct(productId);
+  const bags = calculateBags(totalVolume, product.id);
+  const bagCost = calculateBagCost(bags, bagPrice || product.priceMin, bagPrice || product.priceMax);
+  const readymixCost = calculateReadymixCost(totalVolume, state, postcode, readymixPrice);
+
+  return {
+    valid: true,
+    inputs: {
+      length,
+      width,
+      podSize,
+      podHeight,
+      ribWidth,
+      toppingThickness,
+      edgeBeamWidth,
+      edgeBeamDepth,
+      wastage,
+      productId: product.id,
+      state,
+      postcode,
+      bagPrice,
+      readymixPrice
+    },
+    results: {
+      podCount,
+      podsAlongLength,
+      podsAlongWidth,
+      toppingVolume,
+      edgeBeamVolume,
+      ribVolume,
+      podVolume,
+      solidVolume,
+      baseVolume,
+      totalVolume,
+      bags,
+      bagCost,
+      readymixCost,
+      product
+    },
+    formula: {
+      description: 'Volume = Topping + Edge Beams + (Rib Zone − Pods)',
+      steps: [
+        { label: 'Pods', calc: `⌊(${formatNumber(innerLength)} + ${formatNumber(ribWidth, 3)}) ÷ ${formatNumber(podSize + ribWidth, 3)}⌋ × ⌊(${formatNumber(innerWidth)} + ${formatNumber(ribWidth, 3)}) ÷ ${formatNumber(podSize + ribWidth, 3)}⌋ = ${podsAlongLength} × ${podsAlongWidth} = ${podCount} pods` },
+        { label: 'Topping', calc: `${formatNumber(length)} × ${formatNumber(width)} × ${formatNumber(toppingThickness, 3)} = ${formatNumber(toppingVolume)} m³` },
+        { label: 'Edge beams (below topping)', calc: `${formatNumber(edgeBeamArea)} m² × (${formatNumber(edgeBeamDepth, 3)} − ${formatNumber(toppingThickness, 3)}) = ${formatNumber(edgeBeamVolume)} m³` },
+        { label: 'Rib zone', calc: `${formatNumber(innerLength)} × ${formatNumber(innerWidth)} × ${formatNumber(podHeight, 3)} = ${formatNumber(ribZoneVolume)} m³` },
+        { label: 'Less pods', calc: `${podCount} × ${formatNumber(podSize, 3)} × ${formatNumber(podSize, 3)} × ${formatNumber(podHeight, 3)} = ${formatNumber(podVolume)} m³` },
+        { label: 'Base volume', calc: `${formatNumber(toppingVolume)} + ${formatNumber(edgeBeamVolume)} + ${formatNumber(ribZoneVolume)} − ${formatNumber(podVolume)} = ${formatNumber(baseVolume)} m³` },
+        { label: `Wastage (${wastage}%)`, calc: `${formatNumber(baseVolume)} × ${1 + wastage/100} = ${formatNumber(totalVolume)} m³` },
+        { label: 'Bags needed', calc: `${formatNumber(totalVolume)} × ${product.bagsPerCubicMetre} = ${bags} × ${product.weight}kg bags` }
+      ]
+    }
+  };
+}
+
+/**
+ * Calculate concrete needed for a flight of stairs
+ * The side profile of the flight is built as a polygon and its area multiplied by
+ * the stair width, so the steps, waist and landing are never double counted.
+ * - waist: steps cast on an inclined waist slab (thickness measured square to the pitch line)
+ * - solid: steps built up solid from the ground, with an optional base below ground level
+ *
+ * @param {Object} params - Input parameters
+ * @param {string} params.type - 'waist' or 'solid' (default: waist)
+ * @param {number} params.rise - Riser height in metres
+ * @param {number} params.going - Tread going in metres
+ * @param {number} params.steps - Number of risers
+ * @param {number} params.width - Stair width in metres
+ * @param {number} params.thickness - Waist thickness (waist) or base thickness below ground (solid) in metres
+ * @param {number} params.landingLength - Top landing length in metres (default: 0)
+ * @param {number} params.landingThickness - Landing slab thickness for waist stairs (default: waist thickness)
+ * @param {number} params.wastage - Wastage percentage (default: 10)
+ * @param {string} params.productId - Bag product ID (default: standard 20kg)
+ * @param {string} params.state - Australian state code for ready-mix pricing (optional)
+ * @param {string} params.postcode - Australian postcode for regional ready-mix pricing (optional)
+ * @param {number} params.bagPrice - Custom price per bag (optional - default: the product's range)
+ * @param {number} params.readymixPrice - Custom ready-mix price per m³ (optional)
+ * @returns {Object} Calculation results
+ */
+function calculateStairs({
+  type = 'waist',
+  rise,
+  going,
+  steps,
+  width,
+  thickness = 0,
+  landingLength = 0,
+  landingThickness = null,
+  wastage = CONSTANTS.DEFAULT_WASTAGE,
+  productId = CONSTANTS.DEFAULT_BAG_PRODUCT,
+  state = null,
+  postcode = null,
+  bagPrice = null,
+  readymixPrice = null
+}) {
+  // Validate inputs
+  if (!rise || rise <= 0 || !going || going <= 0 || !width || width <= 0) {
+    return {
+      valid: false,
+      error: 'Please enter valid positive dimensions'
+    };
+  }
+
+  if (!Number.isInteger(steps) || steps < 1) {
+    return {
+      valid: false,
+      error: 'Number of steps must be a whole number of at least 1'
+    };
+  }
+
+  if (type === 'waist' && (!thickness || thickness <= 0)) {
+    return {
+      valid: false,
+      error: 'Please enter a waist thickness'
+    };
+  }
+
+  const landing = Math.max(0, landingLength || 0);
+  const base = Math.max(0, thickness || 0);
+  const totalRise = steps * rise;
+  const totalGoing = steps * going;
+  const pitchLength = Math.hypot(rise, going);
+  const slopeLength = steps * pitchLength;
+
+  // Stepped top surface, from the bottom nosing up to the top of the flight
+  const profile = [{ x: 0, y: 0 }];
+  for (let i = 0; i < steps; i++) {
+    profile.push({ x: i * going, y: (i + 1) * rise });
+    profile.push({ x: (i + 1) * going, y: (i + 1) * rise });
+  }
+  if (landing > 0) {
+    profile.push({ x: totalGoing + landing, y: totalRise });
+  }
+  const backX = totalGoing + landing;
+
+  let stepsArea;
+  let landingThick = 0;
+  if (type === 'solid') {
+    // Each step is a block from the ground up to its tread
+    stepsArea = rise * going * steps * (steps + 1) / 2;
+    profile.push({ x: backX, y: -base });
+    profile.push({ x: 0, y: -base });
+  } else {
+    // Soffit runs parallel to the pitch line through the inside corners of the steps
+    stepsArea = steps * rise * going / 2;
+    const soffitDrop = thickness * pitchLength / going;
+    const soffitY = x => x * rise / going - soffitDrop;
+    const soffitX = y => (y + soffitDrop) * going / rise;
+    landingThick = landing > 0 ? (landingThickness || thickness) : 0;
+
+    // A waist or landing thick enough to reach the ground makes the rest solid,
+    // so every underside point is clamped to ground level and the back face
+    if (landing > 0) {
+      const landingUnderside = totalRise - landingThick;
+      profile.push({ x: backX, y: Math.max(0, landingUnderside) });
+      if (landingUnderside > 0) {
+        profile.push(soffitX(landingUnderside) <= backX
+          ? { x: soffitX(landingUnderside), y: landingUnderside }
+          : { x: backX, y: Math.max(0, soffitY(backX)) });
+      }
+    } else {
+      profile.push({ x: totalGoing, y: Math.max(0, soffitY(totalGoing)) });
+    }
+    const groundX = Math.min(soffitX(0), backX);
+    const last = profile[profile.length - 1];
+    if (last.x !== groundX || last.y !== 0) {
+      profile.push({ x: groundX, y: 0 });
+    }
+  }
+
+  const profileArea = polygonArea(profile);
+  const baseVolume = profileArea * width;
+  const totalVolume = applyWastage(baseVolume, wastage);
+  const product = getBagProduct(productId);
+  const bags = calculateBags(totalVolume, product.id);
+  const bagCost = calculateBagCost(bags, bagPrice || product.priceMin, bagPrice || product.priceMax);
+  const readymixCost = calculateReadymixCost(totalVolume, state, postcode, readymixPrice);
+
+  const belowArea = profileArea - stepsArea;
+  const stepLabel = steps === 1 ? '1 step' : `${steps} steps`;
+
+  return {
+    valid: true,
+    inputs: {
+      type: type === 'solid' ? 'solid' : 'waist',
+      rise,
+      going,
+      steps,
+      width,
+      thickness: base,
+      landingLength: landing,
+      landingThickness: landingThick,
+      wastage,
+      productId: product.id,
+      state,
+      postcode,
+      bagPrice,
+      readymixPrice
+    },
+    results: {
+      profile,
+      profileArea,
+      totalRise,
+      totalGoing,
+      slopeLength,
+      baseVolume,
+      totalVolume,
+      bags,
+      product,
+      bagCost,
+      readymixCost
+    },
+    formula: {
+      description: 'Volume = Side Profile Area × Width',
+      steps: [
+        { label: 'Total rise', calc: `${steps} × ${formatNumber(rise, 3)} = ${formatNumber(totalRise, 3)}m` },
+        { label: 'Total going', calc: `${steps} × ${formatNumber(going, 3)} = ${formatNumber(totalGoing, 3)}m` },
+        ...(type === 'solid'
+          ? [
+            { label: `Solid steps (${stepLabel})`, calc: `${formatNumber(rise, 3)} × ${formatNumber(going, 3)} × (${steps} × ${steps + 1} ÷ 2) = ${formatNumber(stepsArea, 3)} m²` },
+            ...(landing > 0 ? [{ label: 'Top landing', calc: `${formatNumber(landing)} × ${formatNumber(totalRise, 3)} = ${formatNumber(landing * totalRise, 3)} m²` }] : []),
+            ...(base > 0 ? [{ label: 'Base below ground', calc: `${formatNumber(backX)} × ${formatNumber(base, 3)} = ${formatNumber(backX * base, 3)} m²` }] : [])
+          ]
+          : [
+            { label: `Step triangles (${stepLabel})`, calc: `${steps} × ½ × ${formatNumber(rise, 3)} × ${formatNumber(going, 3)} = ${formatNumber(stepsArea, 3)} m²` },
+            { label: 'Waist slope length', calc: `${steps} × √(${formatNumber(rise, 3)}² + ${formatNumber(going, 3)}²) = ${formatNumber(slopeLength)}m` },
+            { label: landing > 0 ? 'Waist and landing' : 'Waist', calc: `${formatNumber(profileArea, 3)} − ${formatNumber(stepsArea, 3)} = ${formatNumber(belowArea, 3)} m²` }
+          ]),
+        { label: 'Side profile area', calc: `${formatNumber(profileArea, 3)} m²` },
+        { label: 'Base volume', calc: `${formatNumber(profileArea, 3)} × ${formatNumber(width)} = ${formatNumber(baseVolume)} m³` },
+        { label: `Wastage (${wastage}%)`, calc: `${formatNumber(baseVolume)} × ${1 + wastage / 100} = ${formatNumber(totalVolume)} m³` },
+        { label: 'Bags needed', calc: `${formatNumber(totalVolume)} × ${product.bagsPerCubicMetre} = ${bags} × ${product.weight}kg bags` }
+      ]
+    }
+  };
+}
+
+/**
+ * Calculate concrete needed for post holes (fence posts, deck posts, etc.)
+ * Hole Volume = π × r² × depth (minus post volume if specified)
+ * A gravel drainage base at the bottom of the hole and a gap left above the
+ * concrete for turf or pavers both shorten the concrete depth. The post stands
+ * on the gravel, so the gravel base is a full cylinder.
+ * The hole and post can be picked from the auger and post catalogues by id.
+ * Holes that leave less than the minimum clearance around the post are flagged,
+ * and a custom hole diameter is matched to the nearest hire auger.
+ *
+ * @param {Object} params - Input parameters
+ * @param {number} params.holeDiameter - Hole diameter in metres
+ * @param {string} params.augerId - Auger size ID (optional - sets the hole diameter)
+ * @param {number} params.holeDepth - Hole depth in metres
+ * @param {number} params.postWidth - Post width/diameter in metres (optional)
+ * @param {string} params.postId - Post size ID (optional - sets the post width and shape)
+ * @param {number} params.postCount - Number of posts (default: 1)
+ * @param {string} params.postShape - 'round' or 'square' (default: 'square')
+ * @param {number} params.gravelDepth - Gravel base depth in metres (default: 0)
+ * @param {number} params.topOffset - Depth from ground level to top of concrete in metres (default: 0)
+ * @param {number} params.wastage - Wastage percentage (default: 10)
+ * @param {string} params.productId - Bag product ID (default: standard 20kg)
+ * @param {string} params.state - Australian state code for ready-mix pricing (optional)
+ * @param {string} params.postcode - Australian postcode for regional ready-mix pricing (optional)
+ * @param {number} params.bagPrice - Custom price per bag (optional - default: the product's range)
+ * @param {number} params.readymixPrice - Custom ready-mix price per m³ (optional)
+ * @returns {Object} Calculation results
+ */
+function calculatePostHole({
+  holeDiameter,
+  augerId = null,
+  holeDepth,
+  postWidth = 0,
+  postId = null,
+  postCount = 1,
+  postShape = 'square',
+  gravelDepth = 0,
+  topOffset = 0,
+  wastage = CONSTANTS.DEFAULT_WASTAGE,
+  productId = CONSTANTS.DEFAULT_BAG_PRODUCT,
+  state = null,
+  postcode = null,
+  bagPrice = null,
+  readymixPrice = null
+}) {
+  // Catalogue sizes take the place of typed dimensions
+  const auger = CONSTANTS.AUGER_SIZES[augerId] || null;
+  const post = CONSTANTS.POST_SIZES[postId] || null;
+  if (auger) {
+    holeDiameter = auger.diameter;
+  }
+  if (post) {
+    postWidth = post.width;
+    postShape = post.shape;
+  }
+
+  // Validate inputs
+  if (!holeDiameter || !holeDepth || holeDiameter <= 0 || holeDepth <= 0 || postCount < 1) {
+    return {
+      valid: false,
+      error: 'Please enter valid positive dimensions'
+    };
+  }
+
+  if (gravelDepth < 0 || topOffset < 0) {
+    return {
+      valid: false,
+      error: 'Gravel base and top offset cannot be negative'
+    };
+  }
+
+  // Depth of concrete left once the gravel base and top gap are taken out
+  const concreteDepth = holeDepth - gravelDepth - topOffset;
+  if (concreteDepth <= 0) {
+    return {
+      valid: false,
+      error: 'Gravel base and top offset must be less than the hole depth'
+    };
+  }
+
+  // Concrete left around the post, measured from its corners for square posts
+  const postSpan = postShape === 'round' ? postWidth : postWidth * Math.SQRT2;
+  const clearance = postWidth > 0 ? (holeDiameter - postSpan) / 2 : null;
+  if (clearance !== null && clearance <= 0) {
+    return {
+      valid: false,
+      error: 'The post does not fit in the hole'
+    };
+  }
+
+  const holeRadius = holeDiameter / 2;
+
+  // Calculate hole volume (cylindrical) over the concrete depth
+  const holeVolume = CONSTANTS.PI * Math.pow(holeRadius, 2) * concreteDepth;
+
+  // Calculate post volume to subtract (if post dimensions provided)
+  let postVolume = 0;
+  if (postWidth > 0) {
+    if (postShape === 'round') {
+      const postRadius = postWidth / 2;
+      postVolume = CONSTANTS.PI * Math.pow(postRadius, 2) * concreteDepth;
+    } else {
+      // Square post
+      postVolume = postWidth * postWidth * concreteDepth;
+    }
+  }
+
+  // Gravel base under the post (no post to subtract)
+  const gravelPerHole = CONSTANTS.PI * Math.pow(holeRadius, 2) * gravelDepth;
+  const gravelVolume = gravelPerHole * postCount;
+  const gravelBags = Math.ceil(gravelVolume * CONSTANTS.GRAVEL_BAGS_PER_CUBIC_METRE);
+  const gravelCost = calculateBagCost(gravelBags, CONSTANTS.GRAVEL_BAG_PRICE_MIN, CONSTANTS.GRAVEL_BAG_PRICE_MAX);
+
+  // Nearest hire auger when the hole diameter isn't a standard size
+  const matchingAuger = auger || Object.values(CONSTANTS.AUGER_SIZES)
+    .find(size => Math.abs(size.diameter - holeDiameter) < 0.0005) || null;
+  const suggestedAuger = matchingAuger ? null : nearestAuger(holeDiameter);
+
+  // Smallest auger that gives the post enough clearance
+  const minHoleDiameter = postSpan + 2 * CONSTANTS.MIN_POST_CLEARANCE;
+  const minAuger = Object.values(CONSTANTS.AUGER_SIZES).find(size => size.diameter >= minHoleDiameter) || null;
+
+  const warnings = [
+    ...(clearance !== null && clearance < CONSTANTS.MIN_POST_CLEARANCE ? [
+      `Only ${formatNumber(clearance * 1000, 0)}mm of concrete around the post - allow at least ${formatNumber(CONSTANTS.MIN_POST_CLEARANCE * 1000, 0)}mm (${minAuger ? `a ${minAuger.label} or larger` : `a ${formatNumber(Math.ceil(minHoleDiameter * 1000), 0)}mm hole`})`
+    ] : []),
+    ...(suggestedAuger ? [
+      `Hire augers don't come in ${formatNumber(holeDiameter * 1000, 0)}mm - the nearest is ${suggestedAuger.label}`
+    ] : [])
+  ];
+
+  // Volume per hole (concrete only)
+  const concretePerHole = holeVolume - postVolume;
+
+  // Total base volume
+  const baseVolume = concretePerHole * postCount;
+
+  // Apply wastage
+  const totalVolume = applyWastage(baseVolume, wastage);
+
+  // Calculate bags and costs for the selected product
+  const product = getBagProduct(productId);
+  const bags = calculateBags(totalVolume, product.id);
+  const bagCost = calculateBagCost(bags, bagPrice || product.priceMin, bagPrice || product.priceMax);
+  const readymixCost = calculateReadymixCost(totalVolume, state, postcode, readymixPrice);
+
+  return {
+    valid: true,
+    inputs: {
+      holeDiameter,
+      holeDepth,
+      postWidth,
+      augerId: matchingAuger ? matchingAuger.id : null,
+      postId: post ? post.id : null,
+      postCount,
+      postShape,
+      gravelDepth,
+      topOffset,
+      wastage,
+      productId: product.id,
+      state,
+      postcode,
+      bagPrice,
+      readymixPrice
+    },
+    results: {
+      auger: matchingAuger,
+      post,
+      suggestedAuger,
+      clearance,
+      warnings,
+      concreteDepth,
+      holeVolume,
+      postVolume,
+      concretePerHole,
+      gravel: {
+        perHole: gravelPerHole,
+        volume: gravelVolume,
+        bags: gravelBags,
+        cost: gravelCost
+      },
+      baseVolume,
+      totalVolume,
+      bags,
+      bagCost,
+      readymixCost,
+      product
+    },
+    formula: {
+      description: 'Volume = (π × r² × depth) - post volume',
+      steps: [
+        ...(gravelDepth > 0 ? [
+          { label: 'Gravel base', calc: `π × ${formatNumber(holeRadius)}² × ${formatNumber(gravelDepth)} × ${postCount} = ${formatNumber(gravelVolume, 4)} m³` },
+          { label: 'Gravel bags', calc: `${formatNumber(gravelVolume, 4)} × ${CONSTANTS.GRAVEL_BAGS_PER_CUBIC_METRE} = ${gravelBags} × ${CONSTANTS.GRAVEL_BAG_WEIGHT}kg bags` }
+        ] : []),
+        ...(clearance !== null ? [{ label: 'Clearance around post', calc: `(${formatNumber(holeDiameter, 3)} − ${formatNumber(postWidth, 3)}${postShape === 'round' ? '' : ' × √2'}) ÷ 2 = ${formatNumber(clearance * 1000, 0)}mm` }] : []),
+        ...(concreteDepth < holeDepth ? [{ label: 'Concrete depth', calc: `${formatNumber(holeDepth, 3)} − ${formatNumber(gravelDepth, 3)} gravel − ${formatNumber(topOffset, 3)} below ground = ${formatNumber(concreteDepth, 3)} m` }] : []),
+        { label: 'Hole volume', calc: `π × ${formatNumber(holeRadius)}² × ${formatNumber(concreteDepth)} = ${formatNumber(holeVolume, 4)} m³` },
+        ...(postVolume > 0 ? [{ label: 'Post volume', calc: `${postShape === 'round' ? `π × ${formatNumber(postWidth/2)}² × ${formatNumber(concreteDepth)}` : `${formatNumber(postWidth)} × ${formatNumber(postWidth)} × ${formatNumber(concreteDepth)}`} = ${formatNumber(postVolume, 4)} m³` }] : []),
+        { label: 'Concrete per hole', calc: `${formatNumber(holeVolume, 4)} - ${formatNumber(postVolume, 4)} = ${formatNumber(concretePerHole, 4)} m³` },
+        ...(postCount > 1 ? [{ label: `Total (${postCount} holes)`, calc: `${formatNumber(concretePerHole, 4)} × ${postCount} = ${formatNumber(baseVolume, 4)} m³` }] : []),
+        { label: `With wastage (${wastage}%)`, calc: `${formatNumber(baseVolume, 4)} × ${1 + wastage/100} = ${formatNumber(totalVolume, 4)} m³` },
+        { label: 'Bags needed', calc: `${formatNumber(totalVolume, 4)} × ${product.bagsPerCubicMetre} = ${bags} × ${product.weight}kg bags` }
+      ]
+    }
+  };
+}
+
+/**
+ * Plan the posts along a fence line and work out the post hole concrete
+ * Runs are straight lengths of fence joined end to end at corner posts, with an
+ * end post at each end of an open fence. Each gate is hung between two gate
+ * posts, and the rest of the run is split evenly either side of the gates into
+ * bays no longer than the maximum post spacing, with line posts between bays.
+ * Gate posts can have their own (usually bigger) holes. Both hole sizes go through
+ * calculatePostHole, then wastage and bags are applied once to the whole fence.
+ *
+ * @param {Object} params - Input parameters
+ * @param {Array<Object>} params.runs - Fence runs as { length, gates } (gates: array of gate widths in metres)
+ * @param {boolean} params.closed - Fence returns to its starting point, so there are no end posts (default: false)
+ * @param {number} params.maxSpacing - Maximum distance between posts in metres (default: 2.4)
+ * @param {Object} params.hole - Post hole for end, corner and line posts ({ holeDiameter or augerId, holeDepth, postWidth or postId, postShape })
+ * @param {Object} params.gateHole - Post hole for gate posts (optional - missing values come from params.hole;
+ *   a holeDiameter or postWidth here replaces the fence hole's augerId or postId)
+ * @param {number} params.gravelDepth - Gravel base depth in metres (default: 0)
+ * @param {number} params.topOffset - Depth from ground level to top of concrete in metres (default: 0)
+ * @param {number} params.wastage - Wastage percentage (default: 10)
+ * @param {string} params.productId - Bag product ID (default: standard 20kg)
+ * @param {string} params.state - Australian state code for ready-mix pricing (optional)
+ * @param {string} params.postcode - Australian postcode for regional ready-mix pricing (optional)
+ * @param {number} params.bagPrice - Custom price per bag (optional - default: the product's range)
+ * @param {number} params.readymixPrice - Custom ready-mix price per m³ (optional)
+ * @returns {Object} Calculation results
+ */
+function calculateFenceLine({
+  runs = [],
+  closed = false,
+  maxSpacing = CONSTANTS.DEFAULT_FENCE_SPACING,
+  hole = {},
+  gateHole = {},
+  gravelDepth = 0,
+  topOffset = 0,
+  wastage = CONSTANTS.DEFAULT_WASTAGE,
+  productId = CONSTANTS.DEFAULT_BAG_PRODUCT,
+  state = null,
+  postcode = null,
+  bagPrice = null,
+  readymixPrice = null
+}) {
+  // Validate inputs
+  if (runs.length === 0 || runs.some(run => !run.length || run.length <= 0)) {
+    return {
+      valid: false,
+      error: 'Please enter the length of each fence run'
+    };
+  }
+
+  if (closed && runs.length < 3) {
+    return {
+      valid: false,
+      error: 'A closed fence needs at least 3 runs'
+    };
+  }
+
+  if (!maxSpacing || maxSpacing <= 0) {
+    return {
+      valid: false,
+      error: 'Please enter a valid post spacing'
+    };
+  }
+
+  // Bays and line posts for each run
+  const runBreakdown = [];
+  for (const [i, run] of runs.entries()) {
+    const gates = run.gates || [];
+    if (gates.some(width => !width || width <= 0)) {
+      return {
+        valid: false,
+        error: `Run ${i + 1}: please enter a valid gate width`
+      };
+    }
+    const gateWidth = gates.reduce((sum, width) => sum + width, 0);
+    if (gateWidth >= run.length) {
+      return {
+        valid: false,
+        error: `Run ${i + 1}: gates must be narrower than the run`
+      };
+    }
+    const segments = gates.length + 1;
+    const segmentLength = (run.length - gateWidth) / segments;
+    const baysPerSegment = Math.ceil(segmentLength / maxSpacing - 1e-9);
+    runBreakdown.push({
+      length: run.length,
+      gates,
+      segments,
+      segmentLength,
+      bays: baysPerSegment * segments,
+      bayLength: segmentLength / baysPerSegment,
+      linePosts: (baysPerSegment - 1) * segments
+    });
+  }
+
+  // Post counts by type
+  const gateCount = runBreakdown.reduce((sum, run) => sum + run.gates.length, 0);
+  const posts = {
+    end: closed ? 0 : 2,
+    corner: closed ? runs.length : runs.length - 1,
+    gate: gateCount * 2,
+    line: runBreakdown.reduce((sum, run) => sum + run.linePosts, 0)
+  };
+  posts.total = posts.end + posts.corner + posts.gate + posts.line;
+  const fencePosts = posts.end + posts.corner + posts.line;
+
+  // Concrete for each hole size (wastage is added once to the total below)
+  const holeParams = { gravelDepth, topOffset, wastage: 0, productId };
+  const fenceHoles = calculatePostHole({ ...hole, ...holeParams, postCount: fencePosts });
+  if (!fenceHoles.valid) {
+    return fenceHoles;
+  }
+  // Catalogue ids win over sizes in calculatePostHole, so an explicit gate size drops the fence hole's id
+  const gateBase = { ...hole };
+  if (gateHole.holeDiameter) delete gateBase.augerId;
+  if (gateHole.postWidth) delete gateBase.postId;
+  const gateHoles = posts.gate > 0
+    ? calculatePostHole({ ...gateBase, ...gateHole, ...holeParams, postCount: posts.gate })
+    : null;
+  if (gateHoles && !gateHoles.valid) {
+    return {
+      valid: false,
+      error: `Gate posts: ${gateHoles.error}`
+    };
+  }
+
+  // Totals across both hole sizes
+  const holeResults = [fenceHoles, gateHoles].filter(Boolean);
+  const baseVolume = holeResults.reduce((sum, result) => sum + result.results.baseVolume, 0);
+  const gravelVolume = holeResults.reduce((sum, result) => sum + result.results.gravel.volume, 0);
+  const gravelBags = Math.ceil(gravelVolume * CONSTANTS.GRAVEL_BAGS_PER_CUBIC_METRE);
+  const gravelCost = calculateBagCost(gravelBags, CONSTANTS.GRAVEL_BAG_PRICE_MIN, CONSTANTS.GRAVEL_BAG_PRICE_MAX);
+  const warnings = [
+    ...fenceHoles.results.warnings,
+    ...(gateHoles ? gateHoles.results.warnings.map(warning => `Gate posts: ${warning}`) : [])
+  ];
+  const fenceLength = runs.reduce((sum, run) => sum + run.length, 0);
+
+  // Apply wastage
+  const totalVolume = applyWastage(baseVolume, wastage);
+
+  // Calculate bags and costs for the selected product
+  const product = getBagProduct(productId);
+  const bags = calculateBags(totalVolume, product.id);
+  const bagCost = calculateBagCost(bags, bagPrice || product.priceMin, bagPrice || product.priceMax);
+  const readymixCost = calculateReadymixCost(totalVolume, state, postcode, readymixPrice);
+
+  const holeStep = (label, result) => ({
+    label,
+    calc: `${result.inputs.postCount} × π × ${formatNumber(result.inputs.holeDiameter / 2, 3)}² × ${formatNumber(result.results.concreteDepth, 3)}${result.results.postVolume > 0 ? ' − posts' : ''} = ${formatNumber(result.results.baseVolume, 4)} m³`
+  });
+
+  return {
+    valid: true,
+    inputs: {
+      runs,
+      closed,
+      maxSpacing,
+      hole,
+      gateHole,
+      gravelDepth,
+      topOffset,
+      wastage,
+      productId: product.id,
+      state,
+      postcode,
+      bagPrice,
+      readymixPrice
+    },
+    results: {
+      fenceLength,
+      runs: runBreakdown,
+      posts,
+      fenceHoles,
+      gateHoles,
+      gravel: {
+        volume: gravelVolume,
+        bags: gravelBags,
+        cost: gravelCost
+      },
+      warnings,
+      baseVolume,
+      totalVolume,
+      bags,
+      bagCost,
+      readymixCost,
+      product
+    },
+    formula: {
+      description: 'Posts = end + corner + gate + line posts; Volume = Σ posts × concrete per hole',
+      steps: [
+        ...runBreakdown.map((run, i) => ({
+          label: `Run ${i + 1}`,
+          calc: run.gates.length > 0
+            ? `(${formatNumber(run.length)} − ${run.gates.map(width => formatNumber(width)).join(' − ')} gate${run.gates.length > 1 ? 's' : ''}) ÷ ${run.segments} sections = ${formatNumber(run.segmentLength)} m → ${run.bays / run.segments} × ${formatNumber(run.bayLength)} m bays per section → ${run.linePosts} line posts`
+            : `${formatNumber(run.length)} ÷ ${formatNumber(maxSpacing)} max spacing → ${run.bays} × ${formatNumber(run.bayLength)} m bays → ${run.linePosts} line posts`
+        })),
+        { label: 'Post count', calc: `${posts.end} end + ${posts.corner} corner + ${posts.gate} gate + ${posts.line} line = ${posts.total} posts` },
+        holeStep('End, corner & line posts', fenceHoles),
+        ...(gateHoles ? [holeStep('Gate posts', gateHoles)] : []),
+        ...(gravelBags > 0 ? [{ label: 'Gravel bags', calc: `${formatNumber(gravelVolume, 4)} × ${CONSTANTS.GRAVEL_BAGS_PER_CUBIC_METRE} = ${gravelBags} × ${CONSTANTS.GRAVEL_BAG_WEIGHT}kg bags` }] : []),
+        { label: `Wastage (${wastage}%)`, calc: `${formatNumber(baseVolume, 4)} × ${1 + wastage/100} = ${formatNumber(totalVolume, 4)} m³` },
+        { label: 'Bags needed', calc: `${formatNumber(totalVolume, 4)} × ${product.bagsPerCubicMetre} = ${bags} × ${product.weight}kg bags` }
+      ]
+    }
+  };
+}
+
+/**
+ * Calculate concrete needed for strip footings
+ * Volume = Length × Width × Depth
+ *
+ * @param {Object} params - Input parameters
+ * @param {number} params.length - Footing length in metres
+ * @param {number} params.width - Footing width in metres
+ * @param {number} params.depth - Footing depth in metres
+ * @param {number} params.footingCount - Number of footings (default: 1)
+ * @param {number} params.wastage - Wastage percentage (default: 10)
+ * @param {string} params.productId - Bag product ID (default: standard 20kg)
+ * @param {string} params.state - Australian state code for ready-mix pricing (optional)
+ * @param {string} params.postcode - Australian postcode for regional ready-mix pricing (optional)
+ * @param {number} params.bagPrice - Custom price per bag (optional - default: the product's range)
+ * @param {number} params.readymixPrice - Custom ready-mix price per m³ (optional)
+ * @returns {Object} Calculation results
+ */
+function calculateFooting({
+  length,
+  width,
+  depth,
+  footingCount = 1,
+  wastage = CONSTANTS.DEFAULT_WASTAGE,
+  productId = CONSTANTS.DEFAULT_BAG_PRODUCT,
+  state = null,
+  postcode = null,
+  bagPrice = null,
+  readymixPrice = null
+}) {
+  // Validate inputs
+  if (!length || !width || !depth || length <= 0 || width <= 0 || depth <= 0 || footingCount < 1) {
+    return {
+      valid: false,
+      error: 'Please enter valid positive dimensions'
+    };
+  }
+
+  // Calculate volume per footing
+  const volumePerFooting = length * width * depth;
+
+  // Total base volume
+  const baseVolume = volumePerFooting * footingCount;
+
+  // Apply wastage
+  const totalVolume = applyWastage(baseVolume, wastage);
+
+  // Calculate bags and costs for the selected product
+  const product = getBagProduct(productId);
+  const bags = calculateBags(totalVolume, product.id);
+  const bagCost = calculateBagCost(bags, bagPrice || product.priceMin, bagPrice || product.priceMax);
+  const readymixCost = calculateReadymixCost(totalVolume, state, postcode, readymixPrice);
+
+  return {
+    valid: true,
+    inputs: {
+      length,
+      width,
+      depth,
+      footingCount,
+      wastage,
+      productId: product.id,
+      state,
+      postcode,
+      bagPrice,
+      readymixPrice
+    },
+    results: {
+      volumePerFooting,
+      baseVolume,
+      totalVolume,
+      bags,
+      bagCost,
+      readymixCost,
+      product
+    },
+    formula: {
+      description: 'Volume = Length × Width × Depth',
+      steps: [
+        { label: 'Volume per footing', calc: `${formatNumber(length)} × ${formatNumber(width)} × ${formatNumber(depth)} = ${formatNumber(volumePerFooting)} m³` },
+        ...(footingCount > 1 ? [{ label: `Total (${footingCount} footings)`, calc: `${formatNumber(volumePerFooting)} × ${footingCount} = ${formatNumber(baseVolume)} m³` }] : []),
+        { label: `With wastage (${wastage}%)`, calc: `${formatNumber(baseVolume)} × ${1 + wastage/100} = ${formatNumber(totalVolume)} m³` },
+        { label: 'Bags needed', calc: `${formatNumber(totalVolume)} × ${product.bagsPerCubicMetre} = ${bags} × ${product.weight}kg bags` }
+      ]
+    }
+  };
+}
+
+/**
+ * Lay out deck footings on a grid and work out their concrete
+ * Bearers run along the deck length, one at each long edge and the rest evenly
+ * spaced across the width no further apart than the bearer spacing (the joist
+ * span). Each bearer sits on footings at both ends and evenly along its length
+ * no further apart than the maximum bearer span. The footing count is then passed
+ * to calculateFooting (pad footings) or calculatePostHole (posts in holes).
+ *
+ * @param {Object} params - Input parameters
+ * @param {number} params.length - Deck length in metres (along the bearers)
+ * @param {number} params.width - Deck width in metres (across the bearers)
+ * @param {number} params.bearerSpacing - Maximum distance between bearers in metres
+ * @param {number} params.maxBearerSpan - Maximum distance between footings along a bearer in metres
+ * @param {string} params.footingType - 'pad' or 'hole' (default: pad)
+ * @param {Object} params.footing - Pad footing size as { length, width, depth } in metres (for pad)
+ * @param {Object} params.hole - Post hole as { holeDiameter or augerId, holeDepth, postWidth or postId, postShape } (for hole)
+ * @param {number} params.wastage - Wastage percentage (default: 10)
+ * @param {string} params.productId - Bag product ID (default: standard 20kg)
+ * @param {string} params.state - Australian state code for ready-mix pricing (optional)
+ * @param {string} params.postcode - Australian postcode for regional ready-mix pricing (optional)
+ * @param {number} params.bagPrice - Custom price per bag (optional - default: the product's range)
+ * @param {number} params.readymixPrice - Custom ready-mix price per m³ (optional)
+ * @returns {Object} Calculation results with footing coordinates
+ */
+function calculateDeckFootings({
+  length,
+  width,
+  bearerSpacing,
+  maxBearerSpan,
+  footingType = 'pad',
+  footing = {},
+  hole = {},
+  wastage = CONSTANTS.DEFAULT_WASTAGE,
+  productId = CONSTANTS.DEFAULT_BAG_PRODUCT,
+  state = null,
+  postcode = null,
+  bagPrice = null,
+  readymixPrice = null
+}) {
+  // Validate inputs
+  if (!length || !width || length <= 0 || width <= 0) {
+    return {
+      valid: false,
+      error: 'Please enter valid deck dimensions'
+    };
+  }
+
+  if (!bearerSpacing || !maxBearerSpan || bearerSpacing <= 0 || maxBearerSpan <= 0) {
+    return {
+      valid: false,
+      error: 'Please enter a valid bearer spacing and span'
+    };
+  }
+
+  // Bearers across the width, footings along each bearer
+  const bearerGaps = Math.ceil(width / bearerSpacing - 1e-9);
+  const spans = Math.ceil(length / maxBearerSpan - 1e-9);
+  const bearers = bearerGaps + 1;
+  const footingsPerBearer = spans + 1;
+  const actualSpacing = width / bearerGaps;
+  const actualSpan = length / spans;
+  const footingCount = bearers * footingsPerBearer;
+
+  const footings = [];
+  for (let row = 0; row < bearers; row++) {
+    for (let column = 0; column < footingsPerBearer; column++) {
+      footings.push({ x: column * actualSpan, y: row * actualSpacing, bearer: row + 1 });
+    }
+  }
+
+  // Concrete for the whole grid
+  const footingResult = footingType === 'hole'
+    ? calculatePostHole({ ...hole, postCount: footingCount, wastage, productId, state, postcode, bagPrice, readymixPrice })
+    : calculateFooting({ ...footing, footingCount, wastage, productId, state, postcode, bagPrice, readymixPrice });
+  if (!footingResult.valid) {
+    return footingResult;
+  }
+
+  const { baseVolume, totalVolume, bags, bagCost, readymixCost, product } = footingResult.results;
+
+  return {
+    valid: true,
+    inputs: {
+      length,
+      width,
+      bearerSpacing,
+      maxBearerSpan,
+      footingType: footingType === 'hole' ? 'hole' : 'pad',
+      footing,
+      hole,
+      wastage,
+      productId: product.id,
+      state,
+      postcode,
+      bagPrice,
+      readymixPrice
+    },
+    results: {
+      bearers,
+      footingsPerBearer,
+      bearerSpacing: actualSpacing,
+      bearerSpan: actualSpan,
+      footingCount,
+      footings,
+      footingResult,
+      baseVolume,
+      totalVolume,
+      bags,
+      bagCost,
+      readymixCost,
+      product
+    },
+    formula: {
+      description: `Footings = Bearers × Footings per bearer; ${footingResult.formula.description}`,
+      steps: [
+        { label: 'Bearers', calc: `${formatNumber(width)} ÷ ${formatNumber(bearerSpacing)} max spacing → ${bearerGaps} gaps → ${bearers} bearers at ${formatNumber(actualSpacing)} m` },
+        { label: 'Footings per bearer', calc: `${formatNumber(length)} ÷ ${formatNumber(maxBearerSpan)} max span → ${spans} spans → ${footingsPerBearer} footings at ${formatNumber(actualSpan)} m` },
+        { label: 'Footing count', calc: `${bearers} × ${footingsPerBearer} = ${footingCount} footings` },
+        ...footingResult.formula.steps
+      ]
+    }
+  };
+}
+
+/**
+ * Calculate concrete for a perimeter strip footing from a building outline
+ * Run lengths are measured along the outside edge of the footing. Adding them
+ * up and multiplying by the width counts every corner square twice, so each run
+ * is reduced to its centreline length: half the footing width × tan(turn ÷ 2) is
+ * taken off at each outside corner (half the width at a square corner) and added
+ * at each inside corner. Internal wall footings are measured to the centreline of
+ * the footings they meet and lose half the width at each end that joins one.
+ *
+ * @param {Object} params - Input parameters
+ * @param {number} params.length - Building length in metres (rectangle outline)
+ * @param {number} params.buildingWidth - Building width in metres (rectangle outline)
+ * @param {Array<Object>} params.runs - Alternative outline as { length, turn } (used if given)
+ * @param {Array<Object>} params.internalWalls - Internal footings as { length, ends } (ends joined: 0-2, default 2)
+ * @param {number} params.width - Footing width in metres
+ * @param {number} params.depth - Footing depth in metres
+ * @param {number} params.wastage - Wastage percentage (default: 10)
+ * @param {string} params.productId - Bag product ID (default: standard 20kg)
+ * @param {string} params.state - Australian state code for ready-mix pricing (optional)
+ * @param {string} params.postcode - Australian postcode for regional ready-mix pricing (optional)
+ * @param {number} params.bagPrice - Custom price per bag (optional - default: the product's range)
+ * @param {number} params.readymixPrice - Custom ready-mix price per m³ (optional)
+ * @returns {Object} Calculation results
+ */
+function calculateStripFooting({
+  length = 0,
+  buildingWidth = 0,
+  runs = null,
+  internalWalls = [],
+  width,
+  depth,
+  wastage = CONSTANTS.DEFAULT_WASTAGE,
+  productId = CONSTANTS.DEFAULT_BAG_PRODUCT,
+  state = null,
+  postcode = null,
+  bagPrice = null,
+  readymixPrice = null
+}) {
+  if (!width || !depth || width <= 0 || depth <= 0) {
+    return {
+      valid: false,
+      error: 'Please enter a valid footing width and depth'
+    };
+  }
+
+  // Outline as wall runs: a rectangle is four runs with square left turns
+  const outlineRuns = runs && runs.length > 0
+    ? runs
+    : [
+      { length, turn: 90 },
+      { length: buildingWidth, turn: 90 },
+      { length, turn: 90 },
+      { length: buildingWidth, turn: 90 }
+    ];
+
+  if (outlineRuns.some(run => !run.length || run.length <= 0)) {
+    return {
+      valid: false,
+      error: runs && runs.length > 0 ? 'Please enter a positive length for every wall run' : 'Please enter valid positive dimensions'
+    };
+  }
+  if (outlineRuns.length < 3) {
+    return {
+      valid: false,
+      error: 'Please enter at least 3 wall runs'
+    };
+  }
+
+  const walked = edgesToVertices(outlineRuns);
+  if (walked.closureError > OUTLINE_CLOSURE_TOLERANCE) {
+    return {
+      valid: false,
+      error: `Outline does not close - the last wall run ends ${formatNumber(walked.closureError)} m from the start`
+    };
+  }
+  const vertices = walked.vertices;
+  const count = vertices.length;
+
+  // Signed area tells us which way the outline was walked, so turns the same way are outside corners
+  let signedArea = 0;
+  vertices.forEach((v, i) => {
+    const next = vertices[(i + 1) % count];
+    signedArea += v.x * next.y - next.x * v.y;
+  });
+  if (Math.abs(signedArea) < 1e-9) {
+    return {
+      valid: false,
+      error: 'Outline has no area - check the wall runs and turns'
+    };
+  }
+  const orientation = Math.sign(signedArea);
+
+  // Corner deduction at each vertex (positive at outside corners, negative at inside corners)
+  const halfWidth = width / 2;
+  const cornerDeductions = vertices.map((v, i) => {
+    const prev = vertices[(i - 1 + count) % count];
+    const next = vertices[(i + 1) % count];
+    const inX = v.x - prev.x;
+    const inY = v.y - prev.y;
+    const outX = next.x - v.x;
+    const outY = next.y - v.y;
+    const turn = Math.atan2(inX * outY - inY * outX, inX * outX + inY * outY) * orientation;
+    return halfWidth * Math.tan(turn / 2);
+  });
+
+  if (cornerDeductions.some(deduction => !isFinite(deduction) || Math.abs(deduction) > 100)) {
+    return {
+      valid: false,
+      error: 'Wall runs cannot double back on themselves'
+    };
+  }
+
+  const externalRuns = vertices.map((v, i) => {
+    const next = vertices[(i + 1) % count];
+    const outsideLength = Math.hypot(next.x - v.x, next.y - v.y);
+    const startDeduction = cornerDeductions[i];
+    const endDeduction = cornerDeductions[(i + 1) % count];
+    return {
+      type: 'external',
+      length: outsideLength,
+      startDeduction,
+      endDeduction,
+      centreline: outsideLength - startDeduction - endDeduction
+    };
+  });
+
+  const internalRuns = (internalWalls || []).map(wall => {
+    const ends = wall.ends === undefined ? 2 : Math.min(2, Math.max(0, Math.round(wall.ends)));
+    return {
+      type: 'internal',
+      length: wall.length,
+      ends,
+      centreline: wall.length - ends * halfWidth
+    };
+  });
+
+  const allRuns = [...externalRuns, ...internalRuns];
+  if (allRuns.some(run => !(run.centreline > 0))) {
+    return {
+      valid: false,
+      error: 'A wall run is shorter than the footing width - check the lengths'
+    };
+  }
+
+  const outsidePerimeter = externalRuns.reduce((sum, run) => sum + run.length, 0);
+  const internalLength = internalRuns.reduce((sum, run) => sum + run.length, 0);
+  const centrelineLength = allRuns.reduce((sum, run) => sum + run.centreline, 0);
+  const overlapDeducted = outsidePerimeter + internalLength - centrelineLength;
+
+  // Calculate base volume
+  const baseVolume = centrelineLength * width * depth;
+
+  // Apply wastage
+  const totalVolume = applyWastage(baseVolume, wastage);
+
+  // Calculate bags and costs for the selected product
+  const product = getBagProduct(productId);
+  const bags = calculateBags(totalVolume, product.id);
+  const bagCost = calculateBagCost(bags, bagPrice || product.priceMin, bagPrice || product.priceMax);
+  const readymixCost = calculateReadymixCost(totalVolume, state, postcode, readymixPrice);
+
+  // Show each run as outside length minus (or plus) its corner adjustments
+  const adjust = value => (value >= 0 ? ` − ${formatNumber(value, 3)}` : ` + ${formatNumber(-value, 3)}`);
+  const runSteps = [
+    ...externalRuns.map((run, i) => ({
+      label: `Run ${i + 1}`,
+      calc: `${formatNumber(run.length)}${adjust(run.startDeduction)}${adjust(run.endDeduction)} = ${formatNumber(run.centreline, 3)}m`
+    })),
+    ...internalRuns.map((run, i) => ({
+      label: `Internal wall ${i + 1}`,
+      calc: run.ends > 0
+        ? `${formatNumber(run.length)} − ${run.ends} × ${formatNumber(halfWidth, 3)} = ${formatNumber(run.centreline, 3)}m`
+        : `${formatNumber(run.centreline, 3)}m`
+    }))
+  ];
+
+  return {
+    valid: true,
+    inputs: {
+      runs: outlineRuns,
+      internalWalls: internalRuns.map(run => ({ length: run.length, ends: run.ends })),
+      width,
+      depth,
+      wastage,
+      productId: product.id,
+      state,
+      postcode,
+      bagPrice,
+      readymixPrice
+    },
+    results: {
+      vertices,
+      runs: allRuns,
+      outsidePerimeter,
+      internalLength,
+      centrelineLength,
+      overlapDeducted,
+      baseVolume,
+      totalVolume,
+      bags,
+      bagCost,
+      readymixCost,
+      product
+    },
+    formula: {
+      description: 'Volume = Centreline Length × Width × Depth',
+      steps: [
+        ...runSteps,
+        { label: 'Centreline length', calc: `${formatNumber(outsidePerimeter + internalLength)} − ${formatNumber(overlapDeducted, 3)} overlaps = ${formatNumber(centrelineLength)}m` },
+        { label: 'Base volume', calc: `${formatNumber(centrelineLength)} × ${formatNumber(width)} × ${formatNumber(depth)} = ${formatNumber(baseVolume)} m³` },
+        { label: `Wastage (${wastage}%)`, calc: `${formatNumber(baseVolume)} × ${1 + wastage/100} = ${formatNumber(totalVolume)} m³` },
+        { label: 'Bags needed', calc: `${formatNumber(totalVolume)} × ${product.bagsPerCubicMetre} = ${bags} × ${product.weight}kg bags` }
+      ]
+    }
+  };
+}
+
+/**
+ * Calculate blocks and core-fill concrete for a concrete block (Besser block) wall
+ * Blocks are laid 400mm long × 200mm high including mortar joints, so the wall
+ * is rounded up to whole courses and whole blocks per course. Core fill is each
+ * block's core volume × the share of cores filled. If a footing size is given,
+ * the strip footing under the wall is worked out with calculateFooting and added
+ * to the concrete total.
+ *
+ * @param {Object} params - Input parameters
+ * @param {number} params.length - Wall length in metres
+ * @param {number} params.height - Wall height in metres
+ * @param {string} params.blockTypeId - Block series ID ('100', '150' or '200', default: '200')
+ * @param {string} params.fillPatternId - Core fill pattern ID ('all', '400' or '800', default: 'all')
+ * @param {number} params.footingWidth - Footing width in metres (optional)
+ * @param {number} params.footingDepth - Footing depth in metres (optional)
+ * @param {number} params.wastage - Wastage percentage (default: 10)
+ * @param {string} params.productId - Bag product ID (default: standard 20kg)
+ * @param {string} params.state - Australian state code for ready-mix pricing (optional)
+ * @param {string} params.postcode - Australian postcode for regional ready-mix pricing (optional)
+ * @param {number} params.bagPrice - Custom price per bag (optional - default: the product's range)
+ * @param {number} params.readymixPrice - Custom ready-mix price per m³ (optional)
+ * @returns {Object} Calculation results
+ */
+function calculateBlockWall({
+  length,
+  height,
+  blockTypeId = CONSTANTS.DEFAULT_BLOCK_TYPE,
+  fillPatternId = 'all',
+  footingWidth = 0,
+  footingDepth = 0,
+  wastage = CONSTANTS.DEFAULT_WASTAGE,
+  productId = CONSTANTS.DEFAULT_BAG_PRODUCT,
+  state = null,
+  postcode = null,
+  bagPrice = null,
+  readymixPrice = null
+}) {
+  // Validate inputs
+  if (!length || !height || length <= 0 || height <= 0) {
+    return {
+      valid: false,
+      error: 'Please enter valid wall dimensions'
+    };
+  }
+
+  const blockType = CONSTANTS.BLOCK_TYPES[blockTypeId] || CONSTANTS.BLOCK_TYPES[CONSTANTS.DEFAULT_BLOCK_TYPE];
+  const fillPattern = CONSTANTS.CORE_FILL_PATTERNS[fillPatternId] || CONSTANTS.CORE_FILL_PATTERNS.all;
+
+  // Footing is optional, but needs both dimensions if either is entered
+  const hasFooting = footingWidth > 0 || footingDepth > 0;
+  const footing = hasFooting
+    ? calculateFooting({ length, width: footingWidth, depth: footingDepth, wastage, productId })
+    : null;
+  if (footing && !footing.valid) {
+    return {
+      valid: false,
+      error: 'Please enter both a footing width and depth'
+    };
+  }
+
+  // Whole courses and whole blocks per course
+  const courses = Math.ceil(height / CONSTANTS.BLOCK_HEIGHT - 1e-9);
+  const blocksPerCourse = Math.ceil(length / CONSTANTS.BLOCK_LENGTH - 1e-9);
+  const blocks = courses * blocksPerCourse;
+
+  // Core fill
+  const coreFillVolume = blocks * blockType.coreFillPerBlock * fillPattern.fraction;
+  const footingVolume = footing ? footing.results.baseVolume : 0;
+
+  // Total base volume
+  const baseVolume = coreFillVolume + footingVolume;
+
+  // Apply wastage
+  const totalVolume = applyWastage(baseVolume, wastage);
+
+  // Calculate bags and costs for the selected product
+  const product = getBagProduct(productId);
+  const bags = calculateBags(totalVolume, product.id);
+  const bagCost = calculateBagCost(bags, bagPrice || product.priceMin, bagPrice || product.priceMax);
+  const readymixCost = calculateReadymixCost(totalVolume, state, postcode, readymixPrice);
+  const coreFillTotal = applyWastage(coreFillVolume, wastage);
+
+  return {
+    valid: true,
+    inputs: {
+      length,
+      height,
+      blockTypeId: blockType.id,
+      fillPatternId: fillPattern.id,
+      footingWidth,
+      footingDepth,
+      wastage,
+      productId: product.id,
+      state,
+      postcode,
+      bagPrice,
+      readymixPrice
+    },
+    results: {
+      blockType,
+      fillPattern,
+      courses,
+      blocksPerCourse,
+      blocks,
+      coreFill: {
+        volume: coreFillVolume,
+        totalVolume: coreFillTotal,
+        bags: calculateBags(coreFillTotal, product.id)
+      },
+      footing,
+      baseVolume,
+      totalVolume,
+      bags,
+      bagCost,
+      readymixCost,
+      product
+    },
+    formula: {
+      description: `Core fill = Blocks × ${formatNumber(blockType.coreFillPerBlock * 1000, 1)} L per block × cores filled${footing ? ' + Footing (length × width × depth)' : ''}`,
+      steps: [
+        { label: 'Courses', calc: `${formatNumber(height)} ÷ ${formatNumber(CONSTANTS.BLOCK_HEIGHT)} = ${courses} courses` },
+        { label: 'Blocks per course', calc: `${formatNumber(length)} ÷ ${formatNumber(CONSTANTS.BLOCK_LENGTH)} = ${blocksPerCourse} blocks` },
+        { label: 'Blocks', calc: `${courses} × ${blocksPerCourse} = ${blocks} × ${blockType.label}` },
+        { label: 'Core fill', calc: `${blocks} × ${formatNumber(blockType.coreFillPerBlock, 4)} × ${fillPattern.fraction} = ${formatNumber(coreFillVolume, 3)} m³` },
+        ...(footing ? [
+          { label: 'Footing', calc: `${formatNumber(length)} × ${formatNumber(footingWidth)} × ${formatNumber(footingDepth)} = ${formatNumber(footingVolume, 3)} m³` },
+          { label: 'Total', calc: `${formatNumber(coreFillVolume, 3)} + ${formatNumber(footingVolume, 3)} = ${formatNumber(baseVolume, 3)} m³` }
+        ] : []),
+        { label: `Wastage (${wastage}%)`, calc: `${formatNumber(baseVolume, 3)} × ${1 + wastage/100} = ${formatNumber(totalVolume, 3)} m³` },
+        { label: 'Bags needed', calc: `${formatNumber(totalVolume, 3)} × ${product.bagsPerCubicMetre} = ${bags} × ${product.weight}kg bags` }
+      ]
+    }
+  };
+}
+
+/**
+ * Formula descriptions for each column shape
+ */
+const COLUMN_FORMULAS = {
+  round: 'Volume = π × r² × height',
+  square: 'Volume = width × depth × height',
+  tapered: 'Volume = π × h ÷ 12 × (D₁² + D₁ × D₂ + D₂²)',
+  belled: 'Volume = Shaft (π × r² × h) + Bell (π × h ÷ 12 × (D₁² + D₁ × D₂ + D₂²))'
+};
+
+/**
+ * Calculate concrete needed for columns and piers (round, square, tapered or belled)
+ * Round: Volume = π × r² × height
+ * Square: Volume = width × depth × height
+ * Tapered: Volume = π × h ÷ 12 × (D₁² + D₁ × D₂ + D₂²) (frustum of a cone)
+ * Belled: straight shaft down to the bell, then a frustum widening to the bell diameter
+ *
+ * @param {Object} params - Input parameters
+ * @param {string} params.shape - 'round', 'square', 'tapered' or 'belled'
+ * @param {number} params.diameter - Diameter in metres (round), top diameter (tapered) or shaft diameter (belled)
+ * @param {number} params.baseDiameter - Bottom diameter in metres (for tapered columns)
+ * @param {number} params.bellDiameter - Bell diameter at the base in metres (for belled piers)
+ * @param {number} params.bellHeight - Height of the bell in metres (for belled piers, included in height)
+ * @param {number} params.width - Width in metres (for square columns)
+ * @param {number} params.depth - Depth in metres (for square columns, optional - defaults to width)
+ * @param {number} params.height - Column height (or total pier depth) in metres
+ * @param {number} params.columnCount - Number of columns (default: 1)
+ * @param {number} params.wastage - Wastage percentage (default: 10)
+ * @param {string} params.productId - Bag product ID (default: standard 20kg)
+ * @param {string} params.state - Australian state code for ready-mix pricing (optional)
+ * @param {string} params.postcode - Australian postcode for regional ready-mix pricing (optional)
+ * @param {number} params.bagPrice - Custom price per bag (optional - default: the product's range)
+ * @param {number} params.readymixPrice - Custom ready-mix price per m³ (optional)
+ * @returns {Object} Calculation results
+ */
+function calculateColumn({
+  shape = 'round',
+  diameter = 0,
+  baseDiameter = 0,
+  bellDiameter = 0,
+  bellHeight = 0,
+  width = 0,
+  depth = 0,
+  height,
+  columnCount = 1,
+  wastage = CONSTANTS.DEFAULT_WASTAGE,
+  productId = CONSTANTS.DEFAULT_BAG_PRODUCT,
+  state = null,
+  postcode = null,
+  bagPrice = null,
+  readymixPrice = null
+}) {
+  // Validate inputs
+  if (!height || height <= 0 || columnCount < 1) {
+    return {
+      valid: false,
+      error: 'Please enter valid positive dimensions'
+    };
+  }
+
+  let volumePerColumn;
+  let formulaCalc;
+  let shapeSteps = [];
+
+  if ((shape === 'round' || shape === 'tapered' || shape === 'belled') && (!diameter || diameter <= 0)) {
+    return {
+      valid: false,
+      error: 'Please enter a valid diameter'
+    };
+  }
+
+  if (shape === 'tapered') {
+    if (!baseDiameter || baseDiameter <= 0) {
+      return {
+        valid: false,
+        error: 'Please enter a valid bottom diameter'
+      };
+    }
+    volumePerColumn = frustumVolume(diameter, baseDiameter, height);
+    formulaCalc = `π × ${formatNumber(height)} ÷ 12 × (${formatNumber(diameter)}² + ${formatNumber(diameter)} × ${formatNumber(baseDiameter)} + ${formatNumber(baseDiameter)}²) = ${formatNumber(volumePerColumn, 4)} m³`;
+  } else if (shape === 'belled') {
+    if (!bellDiameter || bellDiameter <= diameter) {
+      return {
+        valid: false,
+        error: 'Bell diameter must be larger than the shaft diameter'
+      };
+    }
+    if (!bellHeight || bellHeight <= 0 || bellHeight >= height) {
+      return {
+        valid: false,
+        error: 'Bell height must be more than 0 and less than the pier depth'
+      };
+    }
+    const shaftHeight = height - bellHeight;
+    const radius = diameter / 2;
+    const shaftVolume = CONSTANTS.PI * Math.pow(radius, 2) * shaftHeight;
+    const bellVolume = frustumVolume(diameter, bellDiameter, bellHeight);
+    volumePerColumn = shaftVolume + bellVolume;
+    formulaCalc = `${formatNumber(shaftVolume, 4)} + ${formatNumber(bellVolume, 4)} = ${formatNumber(volumePerColumn, 4)} m³`;
+    shapeSteps = [
+      { label: 'Shaft', calc: `π × ${formatNumber(radius)}² × (${formatNumber(height)} − ${formatNumber(bellHeight)}) = ${formatNumber(shaftVolume, 4)} m³` },
+      { label: 'Bell', calc: `π × ${formatNumber(bellHeight)} ÷ 12 × (${formatNumber(diameter)}² + ${formatNumber(diameter)} × ${formatNumber(bellDiameter)} + ${formatNumber(bellDiameter)}²) = ${formatNumber(bellVolume, 4)} m³` }
+    ];
+  } else if (shape === 'round') {
+    const radius = diameter / 2;
+    volumePerColumn = CONSTANTS.PI * Math.pow(radius, 2) * height;
+    formulaCalc = `π × ${formatNumber(radius)}² × ${formatNumber(height)} = ${formatNumber(volumePerColumn, 4)} m³`;
+  } else {
+    // Square/rectangular column
+    if (!width || width <= 0) {
+      return {
+        valid: false,
+        error: 'Please enter valid width'
+      };
+    }
+    const columnDepth = depth > 0 ? depth : width;
+    volumePerColumn = width * columnDepth * height;
+    formulaCalc = `${formatNumber(width)} × ${formatNumber(columnDepth)} × ${formatNumber(height)} = ${formatNumber(volumePerColumn, 4)} m³`;
+  }
+
+  // Total base volume
+  const baseVolume = volumePerColumn * columnCount;
+
+  // Apply wastage
+  const totalVolume = applyWastage(baseVolume, wastage);
+
+  // Calculate bags and costs for the selected product
+  const product = getBagProduct(productId);
+  const bags = calculateBags(totalVolume, product.id);
+  const bagCost = calculateBagCost(bags, bagPrice || product.priceMin, bagPrice || product.priceMax);
+  const readymixCost = calculateReadymixCost(totalVolume, state, postcode, readymixPrice);
+
+  return {
+    valid: true,
+    inputs: {
+      shape,
+      diameter,
+      baseDiameter,
+      bellDiameter,
+      bellHeight,
+      width,
+      depth: depth || width,
+      height,
+      columnCount,
+      wastage,
+      productId: product.id,
+      state,
+      postcode,
+      bagPrice,
+      readymixPrice
+    },
+    results: {
+      volumePerColumn,
+      baseVolume,
+      totalVolume,
+      bags,
+      bagCost,
+      readymixCost,
+      product
+    },
+    formula: {
+      description: COLUMN_FORMULAS[shape] || COLUMN_FORMULAS.square,
+      steps: [
+        ...shapeSteps,
+        { label: 'Volume per column', calc: formulaCalc },
+        ...(columnCount > 1 ? [{ label: `Total (${columnCount} columns)`, calc: `${formatNumber(volumePerColumn, 4)} × ${columnCount} = ${formatNumber(baseVolume, 4)} m³` }] : []),
+        { label: `With wastage (${wastage}%)`, calc: `${formatNumber(baseVolume, 4)} × ${1 + wastage/100} = ${formatNumber(totalVolume, 4)} m³` },
+        { label: 'Bags needed', calc: `${formatNumber(totalVolume, 4)} × ${product.bagsPerCubicMetre} = ${bags} × ${product.weight}kg bags` }
+      ]
+    }
+  };
+}
+
+/**
+ * Calculate concrete for pad footings with a pier or stump cast on top
+ * Each footing is a rectangular pad plus a round or square pier standing on it,
+ * with the pier height measured from the top of the pad. The pad and pier are
+ * worked out with calculateFooting and calculateColumn and their breakdowns are
+ * merged, then wastage and bags are applied once to the combined volume.
+ *
+ * @param {Object} params - Input parameters
+ * @param {number} params.padLength - Pad length in metres
+ * @param {number} params.padWidth - Pad width in metres
+ * @param {number} params.padDepth - Pad depth in metres
+ * @param {string} params.pierShape - 'round' or 'square' (default: round)
+ * @param {number} params.pierDiameter - Pier diameter in metres (for round piers)
+ * @param {number} params.pierWidth - Pier width in metres (for square piers)
+ * @param {number} params.pierDepth - Pier depth in metres (for square piers, optional - defaults to width)
+ * @param {number} params.pierHeight - Pier height above the pad in metres
+ * @param {number} params.footingCount - Number of footings (default: 1)
+ * @param {number} params.wastage - Wastage percentage (default: 10)
+ * @param {string} params.productId - Bag product ID (default: standard 20kg)
+ * @param {string} params.state - Australian state code for ready-mix pricing (optional)
+ * @param {string} params.postcode - Australian postcode for regional ready-mix pricing (optional)
+ * @param {number} params.bagPrice - Custom price per bag (optional - default: the product's range)
+ * @param {number} params.readymixPrice - Custom ready-mix price per m³ (optional)
+ * @returns {Object} Calculation results
+ */
+function calculatePadPier({
+  padLength,
+  padWidth,
+  padDepth,
+  pierShape = 'round',
+  pierDiameter = 0,
+  pierWidth = 0,
+  pierDepth = 0,
+  pierHeight,
+  footingCount = 1,
+  wastage = CONSTANTS.DEFAULT_WASTAGE,
+  productId = CONSTANTS.DEFAULT_BAG_PRODUCT,
+  state = null,
+  postcode = null,
+  bagPrice = null,
+  readymixPrice = null
+}) {
+  // Validate inputs
+  if (!footingCount || footingCount < 1) {
+    return {
+      valid: false,
+      error: 'Please enter at least one footing'
+    };
+  }
+
+  const pad = calculateFooting({ length: padLength, width: padWidth, depth: padDepth, wastage: 0 });
+  if (!pad.valid) {
+    return {
+      valid: false,
+      error: 'Please enter valid pad dimensions'
+    };
+  }
+
+  if (!pierHeight || pierHeight <= 0) {
+    return {
+      valid: false,
+      error: 'Please enter a valid pier height'
+    };
+  }
+
+  const shape = pierShape === 'square' ? 'square' : 'round';
+  const pier = calculateColumn({
+    shape,
+    diameter: pierDiameter,
+    width: pierWidth,
+    depth: pierDepth,
+    height: pierHeight,
+    wastage: 0
+  });
+  if (!pier.valid) {
+    return pier;
+  }
+
+  // The pier has to stand on the pad without overhanging it
+  const pierSize = shape === 'square' ? Math.max(pier.inputs.width, pier.inputs.depth) : pierDiameter;
+  if (pierSize > Math.min(padLength, padWidth)) {
+    return {
+      valid: false,
+      error: 'The pier must fit within the pad'
+    };
+  }
+
+  // Volume of one footing (pad + pier), then all footings
+  const padVolume = pad.results.volumePerFooting;
+  const pierVolume = pier.results.volumePerColumn;
+  const volumePerFooting = padVolume + pierVolume;
+  const baseVolume = volumePerFooting * footingCount;
+
+  // Apply wastage
+  const totalVolume = applyWastage(baseVolume, wastage);
+
+  // Calculate bags and costs for the selected product
+  const product = getBagProduct(productId);
+  const bags = calculateBags(totalVolume, product.id);
+  const bagCost = calculateBagCost(bags, bagPrice || product.priceMin, bagPrice || product.priceMax);
+  const readymixCost = calculateReadymixCost(totalVolume, state, postcode, readymixPrice);
+
+  return {
+    valid: true,
+    inputs: {
+      padLength,
+      padWidth,
+      padDepth,
+      pierShape: shape,
+      pierDiameter: shape === 'round' ? pierDiameter : 0,
+      pierWidth: shape === 'square' ? pier.inputs.width : 0,
+      pierDepth: shape === 'square' ? pier.inputs.depth : 0,
+      pierHeight,
+      footingCount,
+      wastage,
+      productId: product.id,
+      state,
+      postcode,
+      bagPrice,
+      readymixPrice
+    },
+    results: {
+      padVolume,
+      pierVolume,
+      volumePerFooting,
+      padTotalVolume: padVolume * footingCount,
+      pierTotalVolume: pierVolume * footingCount,
+      baseVolume,
+      totalVolume,
+      bags,
+      bagCost,
+      readymixCost,
+      product
+    },
+    formula: {
+      description: `Volume = Pad (length × width × depth) + Pier (${pier.formula.description.replace('Volume = ', '')})`,
+      steps: [
+        { label: 'Pad', calc: `${formatNumber(padLength)} × ${formatNumber(padWidth)} × ${formatNumber(padDepth)} = ${formatNumber(padVolume, 4)} m³` },
+        { label: 'Pier', calc: pier.formula.steps[0].calc },
+        { label: 'Volume per footing', calc: `${formatNumber(padVolume, 4)} + ${formatNumber(pierVolume, 4)} = ${formatNumber(volumePerFooting, 4)} m³` },
+        ...(footingCount > 1 ? [{ label: `Total (${footingCount} footings)`, calc: `${formatNumber(volumePerFooting, 4)} × ${footingCount} = ${formatNumber(baseVolume, 4)} m³` }] : []),
+        { label: `Wastage (${wastage}%)`, calc: `${formatNumber(baseVolume, 4)} × ${1 + wastage/100} = ${formatNumber(totalVolume, 4)} m³` },
+        { label: 'Bags needed', calc: `${formatNumber(totalVolume, 4)} × ${product.bagsPerCubicMetre} = ${bags} × ${product.weight}kg bags` }
+      ]
+    }
+  };
+}
+
+/**
+ * Formula descriptions for each circular slab shape
+ */
+const CIRCULAR_SLAB_FORMULAS = {
+  circle: 'Volume = π × r² × thickness',
+  annulus: 'Volume = π × (R² − r²) × thickness',
+  semicircle: 'Volume = ½ × π × r² × thickness',
+  sector: 'Volume = (θ ÷ 360) × π × r² × thickness'
+};
+
+/**
+ * Calculate concrete needed for a circular slab, ring, half-round or sector
+ * Circle: Volume = π × r² × thickness
+ * Annulus (ring): Volume = π × (R² − r²) × thickness
+ * Semicircle: Volume = ½ × π × r² × thickness
+ * Sector: Volume = (θ ÷ 360) × π × r² × thickness
+ *
+ * @param {Object} params - Input parameters
+ * @param {string} params.shape - 'circle', 'annulus', 'semicircle' or 'sector' (default: circle)
+ * @param {number} params.diameter - Diameter (outer diameter for an annulus) in metres
+ * @param {number} params.innerDiameter - Inner diameter in metres (for annulus)
+ * @param {number} params.angle - Sector angle in degrees (for sector, e.g. 90 for a quarter circle)
+ * @param {number} params.thickness - Slab thickness in metres
+ * @param {number} params.wastage - Wastage percentage (default: 10)
+ * @param {string} params.productId - Bag product ID (default: standard 20kg)
+ * @param {string} params.state - Australian state code for ready-mix pricing (optional)
+ * @param {string} params.postcode - Australian postcode for regional ready-mix pricing (optional)
+ * @param {number} params.bagPrice - Custom price per bag (optional - default: the product's range)
+ * @param {number} params.readymixPrice - Custom ready-mix price per m³ (optional)
+ * @returns {Object} Calculation results
+ */
+function calculateCircularSlab({
+  shape = 'circle',
+  diameter,
+  innerDiameter = 0,
+  angle = 0,
+  thickness,
+  wastage = CONSTANTS.DEFAULT_WASTAGE,
+  productId = CONSTANTS.DEFAULT_BAG_PRODUCT,
+  state = null,
+  postcode = null,
+  bagPrice = null,
+  readymixPrice = null
+}) {
+  // Validate inputs
+  if (!diameter || !thickness || diameter <= 0 || thickness <= 0) {
+    return {
+      valid: false,
+      error: 'Please enter valid positive dimensions'
+    };
+  }
+
+  if (shape === 'annulus' && (!innerDiameter || innerDiameter <= 0 || innerDiameter >= diameter)) {
+    return {
+      valid: false,
+      error: 'Inner diameter must be more than 0 and less than the outer diameter'
+    };
+  }
+
+  if (shape === 'sector' && (!angle || angle <= 0 || angle > 360)) {
+    return {
+      valid: false,
+      error: 'Sector angle must be between 0 and 360 degrees'
+    };
+  }
+
+  const radius = diameter / 2;
+  const innerRadius = innerDiameter / 2;
+
+  // Plan area for the chosen shape
+  let area;
+  let areaCalc;
+  if (shape === 'annulus') {
+    area = CONSTANTS.PI * (Math.pow(radius, 2) - Math.pow(innerRadius, 2));
+    areaCalc = `π × (${formatNumber(radius)}² − ${formatNumber(innerRadius)}²) = ${formatNumber(area, 4)} m²`;
+  } else if (shape === 'semicircle') {
+    area = CONSTANTS.PI * Math.pow(radius, 2) / 2;
+    areaCalc = `½ × π × ${formatNumber(radius)}² = ${formatNumber(area, 4)} m²`;
+  } else if (shape === 'sector') {
+    area = angle / 360 * CONSTANTS.PI * Math.pow(radius, 2);
+    areaCalc = `(${angle} ÷ 360) × π × ${formatNumber(radius)}² = ${formatNumber(area, 4)} m²`;
+  } else {
+    area = CONSTANTS.PI * Math.pow(radius, 2);
+    areaCalc = `π × ${formatNumber(radius)}² = ${formatNumber(area, 4)} m²`;
+  }
+
+  // Calculate base volume
+  const baseVolume = area * thickness;
+
+  // Apply wastage
+  const totalVolume = applyWastage(baseVolume, wastage);
+
+  // Calculate bags and costs for the selected product
+  const product = getBagProduct(productId);
+  const bags = calculateBags(totalVolume, product.id);
+  const bagCost = calculateBagCost(bags, bagPrice || product.priceMin, bagPrice || product.priceMax);
+  const readymixCost = calculateReadymixCost(totalVolume, state, postcode, readymixPrice);
+
+  const isCircle = !['annulus', 'semicircle', 'sector'].includes(shape);
+
+  return {
+    valid: true,
+    inputs: {
+      shape: isCircle ? 'circle' : shape,
+      diameter,
+      innerDiameter: shape === 'annulus' ? innerDiameter : 0,
+      angle: shape === 'sector' ? angle : (shape === 'semicircle' ? 180 : 360),
+      thickness,
+      wastage,
+      productId: product.id,
+      state,
+      postcode,
+      bagPrice,
+      readymixPrice
+    },
+    results: {
+      area,
+      baseVolume,
+      totalVolume,
+      bags,
+      bagCost,
+      readymixCost,
+      product
+    },
+    formula: {
+      description: isCircle ? CIRCULAR_SLAB_FORMULAS.circle : CIRCULAR_SLAB_FORMULAS[shape],
+      steps: [
+        ...(isCircle
+          ? [{ label: 'Base volume', calc: `π × ${formatNumber(radius)}² × ${formatNumber(thickness)} = ${formatNumber(baseVolume, 4)} m³` }]
+          : [
+            { label: 'Area', calc: areaCalc },
+            { label: 'Base volume', calc: `${formatNumber(area, 4)} × ${formatNumber(thickness)} = ${formatNumber(baseVolume, 4)} m³` }
+          ]),
+        { label: `Wastage (${wastage}%)`, calc: `${formatNumber(baseVolume, 4)} × ${1 + wastage/100} = ${formatNumber(totalVolume, 4)} m³` },
+        { label: 'Bags needed', calc: `${formatNumber(totalVolume, 4)} × ${product.bagsPerCubicMetre} = ${bags} × ${product.weight}kg bags` }
+      ]
+    }
+  };
+}
+
+/**
+ * Count the sheets or lengths of mesh needed to cover a distance with laps
+ * n pieces cover n × size − (n − 1) × lap
+ * @param {number} distance - Distance to cover in metres
+ * @param {number} size - Piece length in metres
+ * @param {number} lap - Lap between pieces in metres
+ * @returns {number} Number of pieces (at least 1)
+ */
+function countLappedPieces(distance, size, lap) {
+  if (distance <= size) return 1;
+  return Math.ceil((distance - lap) / (size - lap));
+}
+
+/**
+ * Calculate reinforcement for a slab (mesh sheets) or footings (trench mesh or mesh)
+ * Takes the same dimensions as calculateRectangularSlab / calculateFooting.
+ * Reo stops short of the edges by the cover, sheets are laid whichever way
+ * round needs fewer, and small pad footings are cut several to a sheet.
+ *
+ * @param {Object} params - Input parameters
+ * @param {string} params.element - 'slab' or 'footing' (default: 'slab')
+ * @param {number} params.length - Length in metres
+ * @param {number} params.width - Width in metres
+ * @param {number} params.footingCount - Number of footings (footing only, default: 1)
+ * @param {string} params.meshId - Mesh product ID (default: SL82 for slabs, 3-L11TM for footings)
+ * @param {number} params.layers - Layers of reo, e.g. 2 for top and bottom trench mesh (default: 1)
+ * @param {number} params.cover - Concrete cover to the edges in metres (default: 0.05)
+ * @returns {Object} Calculation results
+ */
+function calculateReinforcement({
+  element = 'slab',
+  length,
+  width,
+  footingCount = 1,
+  meshId = null,
+  layers = 1,
+  cover = CONSTANTS.REO_COVER
+}) {
+  // Validate inputs
+  if (!length || !width || length <= 0 || width <= 0 || footingCount < 1 || layers < 1) {
+    return {
+      valid: false,
+      error: 'Please enter valid positive dimensions'
+    };
+  }
+
+  const defaultMesh = element === 'footing' ? CONSTANTS.DEFAULT_TRENCH_MESH : CONSTANTS.DEFAULT_SLAB_MESH;
+  const mesh = CONSTANTS.MESH_PRODUCTS[meshId] || CONSTANTS.MESH_PRODUCTS[defaultMesh];
+  const count = element === 'footing' ? footingCount : 1;
+
+  // Area the reo has to cover, inside the cover on each edge
+  const reoLength = length - 2 * cover;
+  const reoWidth = width - 2 * cover;
+  if (reoLength <= 0 || reoWidth <= 0) {
+    return {
+      valid: false,
+      error: 'Too small to reinforce once edge cover is allowed for'
+    };
+  }
+
+  const steps = [
+    { label: 'Reo extent', calc: `(${formatNumber(length)} − 2 × ${formatNumber(cover, 3)}) × (${formatNumber(width)} − 2 × ${formatNumber(cover, 3)}) = ${formatNumber(reoLength)} × ${formatNumber(reoWidth)} m` }
+  ];
+
+  let pieces;
+  let lapRun;
+  let ties;
+  let barChairs;
+
+  if (mesh.type === 'trench') {
+    // Trench mesh runs along the footing; extra runs side by side if it's wider than one strip
+    const runs = Math.ceil(reoWidth / mesh.width) * layers;
+    const piecesPerRun = countLappedPieces(reoLength, mesh.length, mesh.lap);
+    const laps = (piecesPerRun - 1) * runs * count;
+
+    if (piecesPerRun === 1) {
+      // Short runs (pads, short strips) are cut several to a length
+      const perLength = Math.floor(mesh.length / reoLength);
+      pieces = Math.ceil(runs * count / perLength);
+      steps.push({ label: 'Trench mesh lengths', calc: `${runs * count} run${runs * count === 1 ? '' : 's'} of ${formatNumber(reoLength)} m ÷ ${perLength} per length = ${pieces}` });
+    } else {
+      pieces = piecesPerRun * runs * count;
+      steps.push({ label: 'Lengths per run', calc: `⌈(${formatNumber(reoLength)} − ${formatNumber(mesh.lap)}) ÷ (${formatNumber(mesh.length)} − ${formatNumber(mesh.lap)})⌉ = ${piecesPerRun}` });
+      steps.push({ label: 'Trench mesh lengths', calc: `${piecesPerRun} × ${runs} run${runs === 1 ? '' : 's'} × ${count} = ${pieces}` });
+    }
+
+    lapRun = laps * mesh.lap;
+    ties = laps * mesh.bars * 2;
+    barChairs = Math.ceil(reoLength * CONSTANTS.BAR_CHAIRS_PER_METRE) * runs * count;
+
+    steps.push({ label: 'Bar chairs', calc: `⌈${formatNumber(reoLength)} × ${CONSTANTS.BAR_CHAIRS_PER_METRE}/m⌉ × ${runs} × ${count} = ${barChairs}` });
+    steps.push({ label: 'Ties at laps', calc: `${laps} laps × ${mesh.bars} bars × 2 = ${ties}` });
+  } else {
+    const area = reoLength * reoWidth;
+    const fitsInSheet = (reoLength <= mesh.length && reoWidth <= mesh.width) || (reoLength <= mesh.width && reoWidth <= mesh.length);
+
+    if (fitsInSheet && count > 1) {
+      // Pad footings: cut several pieces from each sheet
+      const perSheet = Math.max(
+        Math.floor(mesh.length / reoLength) * Math.floor(mesh.width / reoWidth),
+        Math.floor(mesh.length / reoWidth) * Math.floor(mesh.width / reoLength)
+      );
+      pieces = Math.ceil(count * layers / perSheet);
+      lapRun = 0;
+      steps.push({ label: 'Sheets', calc: `${count * layers} pieces ÷ ${perSheet} per sheet = ${pieces} sheet${pieces === 1 ? '' : 's'}` });
+    } else {
+      // Lay sheets whichever way round needs fewer
+      const options = [[mesh.length, mesh.width], [mesh.width, mesh.length]].map(([alongLength, alongWidth]) => {
+        const nLength = countLappedPieces(reoLength, alongLength, mesh.lap);
+        const nWidth = countLappedPieces(reoWidth, alongWidth, mesh.lap);
+        return { nLength, nWidth, sheets: nLength * nWidth, alongLength, alongWidth };
+      });
+      const best = options[0].sheets <= options[1].sheets ? options[0] : options[1];
+      pieces = best.sheets * layers * count;
+      lapRun = ((best.nLength - 1) * reoWidth + (best.nWidth - 1) * reoLength) * layers * count;
+      steps.push({ label: 'Sheets', calc: `⌈(${formatNumber(reoLength)} − ${formatNumber(mesh.lap, 3)}) ÷ ${formatNumber(best.alongLength - mesh.lap, 3)}⌉ × ⌈(${formatNumber(reoWidth)} − ${formatNumber(mesh.lap, 3)}) ÷ ${formatNumber(best.alongWidth - mesh.lap, 3)}⌉${layers * count > 1 ? ` × ${layers * count}` : ''} = ${pieces} sheet${pieces === 1 ? '' : 's'}` });
+    }
+
+    // At least one chair under each corner of every piece
+    const chairsPerPiece = Math.max(4, Math.ceil(area * CONSTANTS.BAR_CHAIRS_PER_SQUARE_METRE));
+    barChairs = chairsPerPiece * layers * count;
+    ties = Math.ceil(lapRun / CONSTANTS.TIE_SPACING);
+    steps.push({ label: 'Bar chairs', calc: `${formatNumber(area)} m² × ${CONSTANTS.BAR_CHAIRS_PER_SQUARE_METRE}/m² (min 4) = ${chairsPerPiece}${layers * count > 1 ? ` × ${layers * count} = ${barChairs}` : ''}` });
+    steps.push({ label: 'Ties at laps', calc: `${formatNumber(lapRun)} m of lap ÷ ${CONSTANTS.TIE_SPACING} = ${ties}` });
+  }
+
+  // Every chair gets tied to the mesh as well
+  const totalTies = ties + barChairs;
+  const tieWireMetres = totalTies * CONSTANTS.TIE_WIRE_PER_TIE;
+  const tieWireRolls = Math.max(1, Math.ceil(tieWireMetres / CONSTANTS.TIE_WIRE_ROLL_LENGTH));
+
+  const cost = {
+    mesh: { min: pieces * mesh.priceMin, max: pieces * mesh.priceMax },
+    barChairs: { min: barChairs * CONSTANTS.BAR_CHAIR_PRICE_MIN, max: barChairs * CONSTANTS.BAR_CHAIR_PRICE_MAX },
+    tieWire: { min: tieWireRolls * CONSTANTS.TIE_WIRE_ROLL_PRICE_MIN, max: tieWireRolls * CONSTANTS.TIE_WIRE_ROLL_PRICE_MAX }
+  };
+  cost.min = cost.mesh.min + cost.barChairs.min + cost.tieWire.min;
+  cost.max = cost.mesh.max + cost.barChairs.max + cost.tieWire.max;
+
+  steps.push({ label: 'Tie wire', calc: `(${ties} + ${barChairs} chairs) × ${CONSTANTS.TIE_WIRE_PER_TIE} m = ${formatNumber(tieWireMetres, 0)} m → ${tieWireRolls} × ${CONSTANTS.TIE_WIRE_ROLL_LENGTH} m roll${tieWireRolls === 1 ? '' : 's'}` });
+  steps.push({ label: 'Cost', calc: `${pieces} × ${formatCurrency(mesh.priceMin)}–${formatCurrency(mesh.priceMax)} + chairs + wire = ${formatCurrency(cost.min)} – ${formatCurrency(cost.max)}` });
+
+  return {
+    valid: true,
+    inputs: {
+      element,
+      length,
+      width,
+      footingCount: count,
+      meshId: mesh.id,
+      layers,
+      cover
+    },
+    results: {
+      mesh,
+      pieces,
+      lapRun,
+      barChairs,
+      ties: totalTies,
+      tieWireMetres,
+      tieWireRolls,
+      cost
+    },
+    formula: {
+      description: mesh.type === 'trench'
+        ? 'Lengths = ⌈(Run − Lap) ÷ (Length − Lap)⌉ per run'
+        : 'Sheets = ⌈(Length − Lap) ÷ (Sheet − Lap)⌉ × ⌈(Width − Lap) ÷ (Sheet − Lap)⌉',
+      steps
+    }
+  };
+}
+
+/**
+ * Count stock lengths needed to cut a list of pieces (first fit, longest first)
+ * Pieces longer than the stock length use full lengths plus an offcut piece.
+ * @param {Array<number>} pieces - Piece lengths in metres
+ * @param {number} stockLength - Stock length in metres
+ * @returns {number} Number of stock lengths
+ */
+function countStockLengths(pieces, stockLength) {
+  let fullLengths = 0;
+  const cuts = [];
+  pieces.forEach(piece => {
+    const whole = Math.floor(piece / stockLength);
+    const remainder = piece - whole * stockLength;
+    fullLengths += whole;
+    if (remainder > 1e-9) cuts.push(remainder);
+  });
+
+  const offcuts = [];
+  cuts.sort((a, b) => b - a).forEach(cut => {
+    const index = offcuts.findIndex(left => left >= cut - 1e-9);
+    if (index === -1) {
+      offcuts.push(stockLength - cut);
+    } else {
+      offcuts[index] -= cut;
+    }
+  });
+
+  return fullLengths + offcuts.length;
+}
+
+/**
+ * Calculate formwork for a slab edge or footing boxing
+ * Boards are the smallest standard height that covers the depth (or rows of the
+ * tallest board for deeper forms). A chosen height that isn't a standard one is
+ * rounded up to the next standard height (or rows of the tallest), with a
+ * warning. Pegs go at the given spacing along each side plus one at every
+ * corner, and each peg is fixed to every board row.
+ * Costs use the default price list with any overrides passed in prices.
+ *
+ * @param {Object} params - Input parameters
+ * @param {string} params.element - 'slab' or 'footing' (default: 'slab')
+ * @param {number} params.length - Length in metres
+ * @param {number} params.width - Width in metres
+ * @param {number} params.depth - Depth/thickness to form up in metres
+ * @param {number} params.footingCount - Number of footings (footing only, default: 1)
+ * @param {number} params.boardHeight - Board height in mm, one of CONSTANTS.FORM_BOARD_HEIGHTS (default: smallest that covers the depth)
+ * @param {number} params.boardLength - Stock board length in metres (default: 4.8)
+ * @param {number} params.pegSpacing - Maximum peg spacing in metres (default: 0.9)
+ * @param {string} params.fastener - 'screws' or 'nails' (default: 'screws')
+ * @param {boolean} params.bracing - Add a kicker brace at every corner and every second peg (default: false)
+ * @param {Object} params.prices - Price overrides, same shape as CONSTANTS.FORMWORK_PRICES
+ * @returns {Object} Calculation results (warnings lists board heights or prices that had to be substituted)
+ */
+function calculateFormwork({
+  element = 'slab',
+  length,
+  width,
+  depth,
+  footingCount = 1,
+  boardHeight = null,
+  boardLength = 4.8,
+  pegSpacing = 0.9,
+  fastener = 'screws',
+  bracing = false,
+  prices = {}
+}) {
+  // Validate inputs
+  if (!length || !width || !depth || length <= 0 || width <= 0 || depth <= 0 || footingCount < 1) {
+    return {
+      valid: false,
+      error: 'Please enter valid positive dimensions'
+    };
+  }
+  if (!pegSpacing || pegSpacing <= 0 || !boardLength || boardLength <= 0) {
+    return {
+      valid: false,
+      error: 'Please enter a valid peg spacing and board length'
+    };
+  }
+
+  const priceList = {
+    ...CONSTANTS.FORMWORK_PRICES,
+    ...prices,
+    boards: { ...CONSTANTS.FORMWORK_PRICES.boards, ...(prices.boards || {}) }
+  };
+  const count = element === 'footing' ? footingCount : 1;
+  const depthMm = Math.round(metresToMm(depth));
+
+  // Board height: as chosen, else the smallest that covers the depth, else rows of the tallest
+  const heights = CONSTANTS.FORM_BOARD_HEIGHTS;
+  const tallest = heights[heights.length - 1];
+  const warnings = [];
+  let height = heights.find(h => h >= depthMm) || tallest;
+  // URL params and saved settings pass the height as a string
+  const chosen = Number(boardHeight);
+  if (chosen > 0) {
+    height = heights.find(h => h >= chosen) || tallest;
+    if (height !== chosen) {
+      warnings.push(`${chosen}mm isn't a standard form board height, so ${height}mm boards are used`);
+    }
+  }
+  const rows = Math.ceil(depthMm / height);
+
+  // Each footing is boxed on four sides
+  const sides = [length, width, length, width];
+  const perimeter = 2 * (length + width);
+  const linearMetres = perimeter * rows * count;
+
+  // Stock lengths: each side runs separately so boards aren't joined around corners
+  const pieces = [];
+  for (let i = 0; i < rows * count; i++) {
+    pieces.push(...sides);
+  }
+  const boards = countStockLengths(pieces, boardLength);
+  const joinsPerForm = sides.reduce((sum, side) => sum + Math.ceil(side / boardLength) - 1, 0) * rows;
+
+  // Pegs along each side, sharing none at the corners (one each side of the corner)
+  const pegsPerForm = sides.reduce((sum, side) => sum + Math.ceil(side / pegSpacing) + 1, 0);
+  const braces = bracing ? (4 + Math.floor(pegsPerForm / 2)) * count : 0;
+  const pegs = pegsPerForm * count + braces;
+
+  // Fixings: 2 per peg per board row, 4 per board join (cleated), 3 per corner per row, 2 per brace
+  const fixingsPerForm = pegsPerForm * rows * 2 + joinsPerForm * 4 + 4 * rows * 3;
+  const fixings = fixingsPerForm * count + braces * 2;
+  const bracingMetres = braces * 0.6;
+
+  const fixingName = fastener === 'nails' ? 'nail' : 'screw';
+  const listedPrice = priceList.boards[height];
+  const boardPrice = typeof listedPrice === 'number' && listedPrice >= 0 ? listedPrice : CONSTANTS.FORMWORK_PRICES.boards[height];
+  if (boardPrice !== listedPrice) {
+    warnings.push(`No price listed for ${height}mm boards, so the default $${formatNumber(boardPrice)}/lm is used`);
+  }
+  const items = [
+    // Boards are bought in stock lengths, so cost the lengths rather than the run
+    { id: 'boards', label: `${height}mm form board (${boards} × ${formatNumber(boardLength, 1)}m)`, quantity: boards * boardLength, unit: 'lm', unitPrice: boardPrice },
+    { id: 'pegs', label: 'Pegs', quantity: pegs, unit: 'each', unitPrice: priceList.peg },
+    { id: 'fixings', label: fastener === 'nails' ? 'Nails' : 'Screws', quantity: fixings, unit: 'each', unitPrice: priceList[fixingName] }
+  ];
+  if (bracing) {
+    items.push({ id: 'bracing', label: 'Bracing timber', quantity: bracingMetres, unit: 'lm', unitPrice: priceList.bracing });
+  }
+  items.forEach(item => {
+    item.cost = item.quantity * item.unitPrice;
+  });
+  const totalCost = items.reduce((sum, item) => sum + item.cost, 0);
+
+  const countText = count > 1 ? ` × ${count}` : '';
+  const steps = [
+    { label: 'Perimeter', calc: `2 × (${formatNumber(length)} + ${formatNumber(width)}) = ${formatNumber(perimeter)} m` },
+    { label: 'Board height', calc: `${depthMm}mm deep → ${rows > 1 ? `${rows} rows of ` : ''}${height}mm boards` },
+    { label: 'Form boards', calc: `${formatNumber(perimeter)} × ${rows}${countText} = ${formatNumber(linearMetres)} lm (${boards} × ${formatNumber(boardLength, 1)}m lengths)` },
+    { label: 'Pegs', calc: `Σ(⌈side ÷ ${formatNumber(pegSpacing)}⌉ + 1) = ${pegsPerForm}${countText}${braces ? ` + ${braces} brace pegs` : ''}${countText || braces ? ` = ${pegs}` : ''}` },
+    { label: fastener === 'nails' ? 'Nails' : 'Screws', calc: `(${pegsPerForm} pegs × ${rows} row${rows === 1 ? '' : 's'} × 2 + ${joinsPerForm} joins × 4 + ${4 * rows} corners × 3)${countText}${braces ? ` + ${braces} braces × 2` : ''} = ${fixings}` }
+  ];
+  if (bracing) {
+    steps.push({ label: 'Bracing', calc: `${braces} braces × 0.6 m = ${formatNumber(bracingMetres)} lm` });
+  }
+  steps.push({ label: 'Cost', calc: `${items.map(item => formatCurrency(item.cost)).join(' + ')} = ${formatCurrency(totalCost)}` });
+
+  return {
+    valid: true,
+    inputs: {
+      element,
+      length,
+      width,
+      depth,
+      footingCount: count,
+      boardHeight: height,
+      boardLength,
+      pegSpacing,
+      fastener,
+      bracing,
+      prices: priceList
+    },
+    results: {
+      perimeter,
+      boardHeight: height,
+      rows,
+      linearMetres,
+      linearMetresByHeight: { [height]: linearMetres },
+      boards,
+      pegs,
+      fixings,
+      braces,
+      bracingMetres,
+      cost: {
+        items,
+        total: totalCost
+      },
+      warnings
+    },
+    formula: {
+      description: 'Form boards = Perimeter × Rows, Pegs = ⌈Side ÷ Spacing⌉ + 1 per side',
+      steps
+    }
+  };
+}
+
+/**
+ * Calculate compacted sub-base or bedding material under a slab
+ * Compacted volume = Area × Thickness, Loose volume = Compacted × Compaction factor,
+ * Tonnes = Loose volume × Loose density
+ *
+ * @param {Object} params - Input parameters
+ * @param {number} params.area - Footprint area in m² (optional - otherwise length × width)
+ * @param {number} params.length - Length in metres
+ * @param {number} params.width - Width in metres
+ * @param {number} params.thickness - Compacted layer thickness in metres
+ * @param {string} params.materialId - Material ID (default: roadbase)
+ * @param {number} params.compactionFactor - Loose ÷ compacted volume (default: the material's)
+ * @returns {Object} Calculation results
+ */
+function calculateSubBase({
+  area = null,
+  length,
+  width,
+  thickness,
+  materialId = CONSTANTS.DEFAULT_SUBBASE_MATERIAL,
+  compactionFactor = null
+}) {
+  const footprint = area || (length > 0 && width > 0 ? length * width : 0);
+
+  // Validate inputs
+  if (!footprint || footprint <= 0 || !thickness || thickness <= 0) {
+    return {
+      valid: false,
+      error: 'Please enter valid positive dimensions'
+    };
+  }
+
+  const material = CONSTANTS.SUBBASE_MATERIALS[materialId] || CONSTANTS.SUBBASE_MATERIALS[CONSTANTS.DEFAULT_SUBBASE_MATERIAL];
+  const factor = compactionFactor || material.compactionFactor;
+  if (factor < 1) {
+    return {
+      valid: false,
+      error: 'Compaction factor must be 1 or more (loose volume is never less than compacted)'
+    };
+  }
+
+  const compactedVolume = footprint * thickness;
+  const looseVolume = compactedVolume * factor;
+  const tonnes = looseVolume * material.density;
+
+  // Loads are limited by whichever runs out first: payload or capacity
+  const loads = {};
+  Object.values(CONSTANTS.MATERIAL_LOADS).forEach(load => {
+    loads[load.id] = Math.max(1, Math.ceil(Math.max(tonnes / load.tonnes, looseVolume / load.volume)));
+  });
+
+  const cost = {
+    min: tonnes * material.priceMin,
+    max: tonnes * material.priceMax
+  };
+
+  const trailer = CONSTANTS.MATERIAL_LOADS.trailer;
+  const tipper = CONSTANTS.MATERIAL_LOADS.tipper;
 
   return {
     valid: true,
     inputs: {
+      area: footprint,
       length,
       width,
-      depth,
-      footingCount,
-      wastage
+      thickness,
+      materialId: material.id,
+      compactionFactor: factor
     },
     results: {
-      volumePerFooting,
-      baseVolume,
-      totalVolume,
-      bags,
-      bagCost,
-      readymixCost
+      material,
+      area: footprint,
+      compactedVolume,
+      looseVolume,
+      tonnes,
+      loads,
+      cost
     },
     formula: {
-      description: 'Volume = Length × Width × Depth',
+      description: 'Tonnes = Area × Thickness × Compaction Factor × Density',
       steps: [
-        { label: 'Volume per footing', calc: `${formatNumber(length)} × ${formatNumber(width)} × ${formatNumber(depth)} = ${formatNumber(volumePerFooting)} m³` },
-        ...(footingCount > 1 ? [{ label: `Total (${footingCount} footings)`, calc: `${formatNumber(volumePerFooting)} × ${footingCount} = ${formatNumber(baseVolume)} m³` }] : []),
-        { label: `With wastage (${wastage}%)`, calc: `${formatNumber(baseVolume)} × ${1 + wastage/100} = ${formatNumber(totalVolume)} m³` },
-        { label: 'Bags needed', calc: `${formatNumber(totalVolume)} × ${CONSTANTS.BAGS_PER_CUBIC_METRE} = ${bags} bags` }
+        { label: 'Compacted volume', calc: `${formatNumber(footprint)} m² × ${formatNumber(thickness, 3)} = ${formatNumber(compactedVolume)} m³` },
+        { label: `Loose volume (× ${factor})`, calc: `${formatNumber(compactedVolume)} × ${factor} = ${formatNumber(looseVolume)} m³` },
+        { label: `${material.label} (${material.density} t/m³)`, calc: `${formatNumber(looseVolume)} × ${material.density} = ${formatNumber(tonnes)} t` },
+        { label: trailer.label, calc: `⌈max(${formatNumber(tonnes)} ÷ ${trailer.tonnes} t, ${formatNumber(looseVolume)} ÷ ${trailer.volume} m³)⌉ = ${loads.trailer} loads` },
+        { label: tipper.label, calc: `⌈max(${formatNumber(tonnes)} ÷ ${tipper.tonnes} t, ${formatNumber(looseVolume)} ÷ ${tipper.volume} m³)⌉ = ${loads.tipper} load${loads.tipper === 1 ? '' : 's'}` }
       ]
     }
   };
 }
 
 /**
- * Calculate concrete needed for columns (round or square)
- * Round: Volume = π × r² × height
- * Square: Volume = width × depth × height
+ * Add a sub-base layer to a slab result, using the slab's own footprint
+ * The slab's concrete figures are unchanged; the sub-base is added as
+ * results.subBase and its steps are appended to the formula.
+ *
+ * @param {Object} slabResult - Result from any slab calculator
+ * @param {Object} params - Sub-base parameters (thickness, materialId, compactionFactor)
+ * @returns {Object} Slab result with results.subBase (or the slab result unchanged if invalid)
+ */
+function addSubBaseToResult(slabResult, { thickness, materialId, compactionFactor = null }) {
+  if (!slabResult || !slabResult.valid) return slabResult;
+
+  const area = slabResult.results.area || slabResult.inputs.length * slabResult.inputs.width;
+  const subBase = calculateSubBase({ area, thickness, materialId, compactionFactor });
+  if (!subBase.valid) return slabResult;
+
+  return {
+    ...slabResult,
+    results: {
+      ...slabResult.results,
+      subBase: subBase.results
+    },
+    formula: {
+      ...slabResult.formula,
+      steps: [
+        ...slabResult.formula.steps,
+        ...subBase.formula.steps.map(step => ({ ...step, label: `Sub-base: ${step.label}` }))
+      ]
+    }
+  };
+}
+
+/**
+ * Parse a mix ratio such as "1:2:3" (cement : sand : aggregate)
+ * @param {string} text - Ratio text, parts separated by colons
+ * @returns {Array<number>|null} Three positive parts, or null if not a valid ratio
+ */
+function parseMixRatio(text) {
+  const parts = String(text || '').split(':').map(part => parseFloat(part.trim()));
+  if (parts.length !== 3 || parts.some(part => !(part > 0))) return null;
+  return parts;
+}
+
+/**
+ * Calculate cement, sand, aggregate and water to mix a volume of concrete from bulk materials
+ * Dry volume = Wet volume × Bulking factor, split between the materials by the mix ratio.
+ * Cement is converted to bags, sand and aggregate to tonnes, and water to litres
+ * from the water/cement ratio.
  *
  * @param {Object} params - Input parameters
- * @param {string} params.shape - 'round' or 'square'
- * @param {number} params.diameter - Diameter in metres (for round columns)
- * @param {number} params.width - Width in metres (for square columns)
- * @param {number} params.depth - Depth in metres (for square columns, optional - defaults to width)
- * @param {number} params.height - Column height in metres
- * @param {number} params.columnCount - Number of columns (default: 1)
- * @param {number} params.wastage - Wastage percentage (default: 10)
+ * @param {number} params.volume - Wet concrete volume in m³ (with wastage already applied)
+ * @param {string} params.mixId - Mix design ID, a grade or a standard ratio (default: N25)
+ * @param {string} params.ratio - Custom ratio such as "1:2:3" (optional - overrides the mix design's ratio)
+ * @param {number} params.waterCementRatio - Water/cement ratio (optional - default: the mix design's)
  * @returns {Object} Calculation results
  */
-function calculateColumn({
-  shape = 'round',
-  diameter = 0,
-  width = 0,
-  depth = 0,
-  height,
-  columnCount = 1,
-  wastage = CONSTANTS.DEFAULT_WASTAGE
+function calculateMixDesign({
+  volume,
+  mixId = CONSTANTS.DEFAULT_MIX_DESIGN,
+  ratio = null,
+  waterCementRatio = null
 }) {
   // Validate inputs
-  if (!height || height <= 0 || columnCount < 1) {
+  if (!volume || volume <= 0) {
     return {
       valid: false,
-      error: 'Please enter valid positive dimensions'
+      error: 'Please enter a valid volume'
     };
   }
 
-  let volumePerColumn;
-  let formulaCalc;
-
-  if (shape === 'round') {
-    if (!diameter || diameter <= 0) {
-      return {
-        valid: false,
-        error: 'Please enter a valid diameter'
-      };
-    }
-    const radius = diameter / 2;
-    volumePerColumn = CONSTANTS.PI * Math.pow(radius, 2) * height;
-    formulaCalc = `π × ${formatNumber(radius)}² × ${formatNumber(height)} = ${formatNumber(volumePerColumn, 4)} m³`;
-  } else {
-    // Square/rectangular column
-    if (!width || width <= 0) {
-      return {
-        valid: false,
-        error: 'Please enter valid width'
-      };
-    }
-    const columnDepth = depth > 0 ? depth : width;
-    volumePerColumn = width * columnDepth * height;
-    formulaCalc = `${formatNumber(width)} × ${formatNumber(columnDepth)} × ${formatNumber(height)} = ${formatNumber(volumePerColumn, 4)} m³`;
+  const mix = CONSTANTS.MIX_DESIGNS[mixId] || CONSTANTS.MIX_DESIGNS[CONSTANTS.DEFAULT_MIX_DESIGN];
+  const parts = ratio ? parseMixRatio(ratio) : mix.ratio;
+  if (!parts) {
+    return {
+      valid: false,
+      error: 'Please enter a mix ratio like 1:2:3 (cement : sand : aggregate)'
+    };
+  }
+  const waterRatio = waterCementRatio || (ratio ? CONSTANTS.DEFAULT_WATER_CEMENT_RATIO : mix.waterCementRatio);
+  if (waterRatio < 0.3 || waterRatio > 0.8) {
+    return {
+      valid: false,
+      error: 'Water/cement ratio should be between 0.3 and 0.8'
+    };
   }
 
-  // Total base volume
-  const baseVolume = volumePerColumn * columnCount;
+  const { cement: cementMaterial, sand: sandMaterial, aggregate: aggregateMaterial } = CONSTANTS.MIX_MATERIALS;
+  const ratioLabel = parts.join(':');
+  const totalParts = parts[0] + parts[1] + parts[2];
+  const dryVolume = volume * CONSTANTS.DRY_VOLUME_FACTOR;
 
-  // Apply wastage
-  const totalVolume = applyWastage(baseVolume, wastage);
+  const cementVolume = dryVolume * parts[0] / totalParts;
+  const cementKg = cementVolume * cementMaterial.density * 1000;
+  const cementBags = Math.ceil(cementKg / cementMaterial.bagWeight);
+  const sandVolume = dryVolume * parts[1] / totalParts;
+  const sandTonnes = sandVolume * sandMaterial.density;
+  const aggregateVolume = dryVolume * parts[2] / totalParts;
+  const aggregateTonnes = aggregateVolume * aggregateMaterial.density;
+  const water = cementKg * waterRatio;
 
-  // Calculate bags and costs
-  const bags = calculateBags(totalVolume);
-  const bagCost = calculateBagCost(bags);
-  const readymixCost = calculateReadymixCost(totalVolume);
+  const cement = {
+    volume: cementVolume,
+    kg: cementKg,
+    bags: cementBags,
+    cost: calculateBagCost(cementBags, cementMaterial.priceMin, cementMaterial.priceMax)
+  };
+  const sand = {
+    volume: sandVolume,
+    tonnes: sandTonnes,
+    cost: { min: sandTonnes * sandMaterial.priceMin, max: sandTonnes * sandMaterial.priceMax }
+  };
+  const aggregate = {
+    volume: aggregateVolume,
+    tonnes: aggregateTonnes,
+    cost: { min: aggregateTonnes * aggregateMaterial.priceMin, max: aggregateTonnes * aggregateMaterial.priceMax }
+  };
 
   return {
     valid: true,
     inputs: {
-      shape,
-      diameter,
-      width,
-      depth: depth || width,
-      height,
-      columnCount,
-      wastage
+      volume,
+      mixId: mix.id,
+      ratio: ratio ? ratioLabel : null,
+      waterCementRatio: waterRatio
     },
     results: {
-      volumePerColumn,
-      baseVolume,
-      totalVolume,
-      bags,
-      bagCost,
-      readymixCost
+      mix,
+      ratio: parts,
+      ratioLabel,
+      waterCementRatio: waterRatio,
+      dryVolume,
+      cement,
+      sand,
+      aggregate,
+      water,
+      cost: {
+        min: cement.cost.min + sand.cost.min + aggregate.cost.min,
+        max: cement.cost.max + sand.cost.max + aggregate.cost.max
+      }
     },
     formula: {
-      description: shape === 'round' ? 'Volume = π × r² × height' : 'Volume = width × depth × height',
+      description: `Dry volume = Wet volume × ${CONSTANTS.DRY_VOLUME_FACTOR}, split ${ratioLabel} (cement : sand : aggregate)`,
       steps: [
-        { label: 'Volume per column', calc: formulaCalc },
-        ...(columnCount > 1 ? [{ label: `Total (${columnCount} columns)`, calc: `${formatNumber(volumePerColumn, 4)} × ${columnCount} = ${formatNumber(baseVolume, 4)} m³` }] : []),
-        { label: `With wastage (${wastage}%)`, calc: `${formatNumber(baseVolume, 4)} × ${1 + wastage/100} = ${formatNumber(totalVolume, 4)} m³` },
-        { label: 'Bags needed', calc: `${formatNumber(totalVolume, 4)} × ${CONSTANTS.BAGS_PER_CUBIC_METRE} = ${bags} bags` }
+        { label: `Dry volume (× ${CONSTANTS.DRY_VOLUME_FACTOR} bulking)`, calc: `${formatNumber(volume)} × ${CONSTANTS.DRY_VOLUME_FACTOR} = ${formatNumber(dryVolume)} m³` },
+        { label: `Mix parts (${ratioLabel})`, calc: `${parts.join(' + ')} = ${totalParts} parts` },
+        { label: `${cementMaterial.label} (${cementMaterial.density} t/m³)`, calc: `${formatNumber(dryVolume)} × ${parts[0]}/${totalParts} = ${formatNumber(cementVolume, 3)} m³ × ${cementMaterial.density * 1000} = ${formatNumber(cementKg, 0)} kg` },
+        { label: `Cement bags (${cementMaterial.bagWeight}kg)`, calc: `⌈${formatNumber(cementKg, 0)} ÷ ${cementMaterial.bagWeight}⌉ = ${cementBags} bags` },
+        { label: `${sandMaterial.label} (${sandMaterial.density} t/m³)`, calc: `${formatNumber(dryVolume)} × ${parts[1]}/${totalParts} = ${formatNumber(sandVolume)} m³ × ${sandMaterial.density} = ${formatNumber(sandTonnes)} t` },
+        { label: `${aggregateMaterial.label} (${aggregateMaterial.density} t/m³)`, calc: `${formatNumber(dryVolume)} × ${parts[2]}/${totalParts} = ${formatNumber(aggregateVolume)} m³ × ${aggregateMaterial.density} = ${formatNumber(aggregateTonnes)} t` },
+        { label: `Water (w/c ${waterRatio})`, calc: `${formatNumber(cementKg, 0)} kg × ${waterRatio} = ${formatNumber(water, 0)} L` }
+      ]
+    }
+  };
+}
+
+/**
+ * Add a DIY mix design to any calculator result, using its total volume
+ * The premix bag figures are unchanged; the mix is added as results.mixDesign
+ * and its steps are appended to the formula.
+ *
+ * @param {Object} calcResult - Result from any calculator with results.totalVolume
+ * @param {Object} params - Mix parameters (mixId, ratio, waterCementRatio)
+ * @returns {Object} Result with results.mixDesign (or the result unchanged if invalid)
+ */
+function addMixDesignToResult(calcResult, { mixId, ratio = null, waterCementRatio = null }) {
+  if (!calcResult || !calcResult.valid) return calcResult;
+
+  const mixDesign = calculateMixDesign({ volume: calcResult.results.totalVolume, mixId, ratio, waterCementRatio });
+  if (!mixDesign.valid) return calcResult;
+
+  return {
+    ...calcResult,
+    results: {
+      ...calcResult.results,
+      mixDesign: mixDesign.results
+    },
+    formula: {
+      ...calcResult.formula,
+      steps: [
+        ...calcResult.formula.steps,
+        ...mixDesign.formula.steps.map(step => ({ ...step, label: `Mix: ${step.label}` }))
       ]
     }
   };
 }
 
 /**
- * Calculate concrete needed for a circular slab
- * Volume = π × r² × thickness
+ * Split a ready-mix order into loads as even as the order increment allows
+ * @param {number} orderVolume - Rounded order volume in m³
+ * @param {number} capacity - Largest load a truck can carry in m³
+ * @param {number} increment - Order increment in m³
+ * @returns {Array<number>} Volume of each load in m³, largest first
+ */
+function splitReadymixLoads(orderVolume, capacity, increment) {
+  const count = Math.ceil(orderVolume / capacity - 1e-9);
+  if (count === 1) return [orderVolume];
+
+  const units = Math.round(orderVolume / increment);
+  const base = Math.floor(units / count);
+  const extra = units - base * count;
+  return Array.from({ length: count }, (_, i) => Math.round((base + (i < extra ? 1 : 0)) * increment * 1000) / 1000);
+}
+
+/**
+ * Plan a ready-mix delivery: order quantity, trucks, loads and fees
+ * The volume is rounded up to the supplier's increment (and the minimum order), then
+ * split across mini-mix or full agitator trucks. The mini-mix surcharge and
+ * short-load, waiting-time and after-hours fees are added on top. Without a truckId the truck type with the
+ * lowest fees is chosen (fewer loads on a tie).
  *
  * @param {Object} params - Input parameters
- * @param {number} params.diameter - Diameter in metres
- * @param {number} params.thickness - Slab thickness in metres
- * @param {number} params.wastage - Wastage percentage (default: 10)
+ * @param {number} params.volume - Volume needed in m³ (with wastage)
+ * @param {string} params.state - Australian state code (optional)
+ * @param {string} params.postcode - Australian postcode (optional - overrides the state average)
+ * @param {number} params.readymixPrice - Quoted price per m³ (optional - overrides both)
+ * @param {string} params.truckId - 'mini' or 'full' (optional - default: cheapest)
+ * @param {number} params.increment - Order increment in m³ (default: 0.2)
+ * @param {number} params.minutesPerLoad - Expected time on site per truck (default: the free unloading time)
+ * @param {boolean} params.afterHours - Delivery outside normal hours (default: false)
  * @returns {Object} Calculation results
  */
-function calculateCircularSlab({ diameter, thickness, wastage = CONSTANTS.DEFAULT_WASTAGE }) {
+function calculateReadymixLoads({
+  volume,
+  state = null,
+  postcode = null,
+  readymixPrice = null,
+  truckId = null,
+  increment = CONSTANTS.READYMIX_ORDER_INCREMENT,
+  minutesPerLoad = null,
+  afterHours = false
+}) {
   // Validate inputs
-  if (!diameter || !thickness || diameter <= 0 || thickness <= 0) {
+  if (!volume || volume <= 0) {
     return {
       valid: false,
-      error: 'Please enter valid positive dimensions'
+      error: 'Please enter a valid volume'
+    };
+  }
+  if (!increment || increment <= 0) {
+    return {
+      valid: false,
+      error: 'Please enter a valid order increment'
     };
   }
 
-  const radius = diameter / 2;
+  const fees = CONSTANTS.READYMIX_FEES;
+  const pricing = getReadymixPricing(state, postcode, readymixPrice);
+  const minutes = minutesPerLoad === null ? fees.freeMinutesPerLoad : minutesPerLoad;
+  const extraMinutes = Math.max(0, minutes - fees.freeMinutesPerLoad);
 
-  // Calculate base volume
-  const baseVolume = CONSTANTS.PI * Math.pow(radius, 2) * thickness;
+  // Round up to the increment (ignoring floating point dust), then apply the minimum order
+  const roundedVolume = Math.round(Math.ceil(volume / increment - 1e-9) * increment * 1000) / 1000;
+  const orderVolume = Math.max(roundedVolume, CONSTANTS.READYMIX_MINIMUM_ORDER);
+  const hasMinimumApplied = roundedVolume < CONSTANTS.READYMIX_MINIMUM_ORDER;
 
-  // Apply wastage
-  const totalVolume = applyWastage(baseVolume, wastage);
+  const plans = Object.values(CONSTANTS.READYMIX_TRUCKS).map(truck => {
+    const loads = splitReadymixLoads(orderVolume, truck.capacity, increment);
+    const shortVolume = loads.reduce((sum, load) => sum + Math.max(0, truck.minLoad - load), 0);
+    const surcharge = orderVolume * truck.surchargePerCubicMetre;
+    const shortLoad = shortVolume * fees.shortLoadPerCubicMetre;
+    const waiting = loads.length * extraMinutes * fees.waitingPerMinute;
+    const afterHoursFee = afterHours ? loads.length * fees.afterHoursPerLoad : 0;
+    const delivery = loads.length * pricing.deliverySurcharge;
+    return {
+      truck,
+      loads,
+      shortVolume,
+      fees: {
+        surcharge,
+        shortLoad,
+        waiting,
+        afterHours: afterHoursFee,
+        delivery,
+        total: surcharge + shortLoad + waiting + afterHoursFee + delivery
+      }
+    };
+  });
 
-  // Calculate bags and costs
-  const bags = calculateBags(totalVolume);
-  const bagCost = calculateBagCost(bags);
-  const readymixCost = calculateReadymixCost(totalVolume);
+  const plan = CONSTANTS.READYMIX_TRUCKS[truckId]
+    ? plans.find(option => option.truck.id === truckId)
+    : plans.reduce((best, option) => (
+      option.fees.total < best.fees.total ||
+      (option.fees.total === best.fees.total && option.loads.length < best.loads.length) ? option : best
+    ));
+  const { truck, loads, shortVolume } = plan;
+  const loadCount = loads.length;
+
+  const concreteCost = {
+    min: orderVolume * pricing.min,
+    max: orderVolume * pricing.max
+  };
+  const feeItems = [
+    { id: 'surcharge', label: 'Mini-mix surcharge', amount: plan.fees.surcharge },
+    { id: 'shortLoad', label: 'Short-load fee', amount: plan.fees.shortLoad },
+    { id: 'waiting', label: 'Waiting time', amount: plan.fees.waiting },
+    { id: 'afterHours', label: 'After-hours delivery', amount: plan.fees.afterHours },
+    { id: 'delivery', label: pricing.region ? `${pricing.region.label} delivery` : 'Regional delivery', amount: plan.fees.delivery }
+  ].filter(item => item.amount > 0);
+  const cost = {
+    min: concreteCost.min + plan.fees.total,
+    max: concreteCost.max + plan.fees.total
+  };
+
+  const loadList = loads.map(load => formatNumber(load, 1)).join(' + ');
+  const shortLoads = loads.filter(load => load < truck.minLoad);
 
   return {
     valid: true,
     inputs: {
-      diameter,
-      thickness,
-      wastage
+      volume,
+      state: pricing.state,
+      postcode: pricing.region ? String(postcode).trim() : null,
+      readymixPrice,
+      truckId: truck.id,
+      increment,
+      minutesPerLoad: minutes,
+      afterHours
     },
     results: {
-      baseVolume,
-      totalVolume,
-      bags,
-      bagCost,
-      readymixCost
+      truck,
+      trucks: loadCount,
+      loads,
+      volumePerLoad: orderVolume / loadCount,
+      orderVolume,
+      hasMinimumApplied,
+      pricing,
+      concreteCost,
+      fees: plan.fees,
+      feeItems,
+      cost
     },
     formula: {
-      description: 'Volume = π × r² × thickness',
+      description: 'Cost = Order volume × Price per m³ + Short-load + Waiting + After-hours + Delivery fees',
       steps: [
-        { label: 'Base volume', calc: `π × ${formatNumber(radius)}² × ${formatNumber(thickness)} = ${formatNumber(baseVolume, 4)} m³` },
-        { label: `Wastage (${wastage}%)`, calc: `${formatNumber(baseVolume, 4)} × ${1 + wastage/100} = ${formatNumber(totalVolume, 4)} m³` },
-        { label: 'Bags needed', calc: `${formatNumber(totalVolume, 4)} × ${CONSTANTS.BAGS_PER_CUBIC_METRE} = ${bags} bags` }
+        { label: `Order volume (${increment} m³ increments)`, calc: hasMinimumApplied
+          ? `${formatNumber(volume)} m³ → minimum order ${formatNumber(orderVolume)} m³`
+          : `⌈${formatNumber(volume)} ÷ ${increment}⌉ × ${increment} = ${formatNumber(orderVolume, 1)} m³` },
+        { label: `${truck.label}s (up to ${truck.capacity} m³)`, calc: loadCount === 1
+          ? `1 load of ${formatNumber(orderVolume, 1)} m³`
+          : `⌈${formatNumber(orderVolume, 1)} ÷ ${truck.capacity}⌉ = ${loadCount} loads: ${loadList} m³` },
+        { label: 'Concrete', calc: `${formatNumber(orderVolume, 1)} m³ × $${pricing.min}–$${pricing.max} = ${formatCurrency(concreteCost.min)} – ${formatCurrency(concreteCost.max)}` },
+        ...(plan.fees.surcharge > 0 ? [{
+          label: 'Mini-mix surcharge',
+          calc: `${formatNumber(orderVolume, 1)} m³ × $${truck.surchargePerCubicMetre} = ${formatCurrency(plan.fees.surcharge)}`
+        }] : []),
+        ...(plan.fees.shortLoad > 0 ? [{
+          label: `Short-load fee (under ${truck.minLoad} m³)`,
+          calc: `${shortLoads.map(load => `(${truck.minLoad} − ${formatNumber(load, 1)})`).join(' + ')} = ${formatNumber(shortVolume, 1)} m³ × $${fees.shortLoadPerCubicMetre} = ${formatCurrency(plan.fees.shortLoad)}`
+        }] : []),
+        ...(plan.fees.waiting > 0 ? [{
+          label: `Waiting time (over ${fees.freeMinutesPerLoad} min)`,
+          calc: `${loadCount} × ${extraMinutes} min × $${fees.waitingPerMinute.toFixed(2)} = ${formatCurrency(plan.fees.waiting)}`
+        }] : []),
+        ...(plan.fees.afterHours > 0 ? [{
+          label: 'After-hours delivery',
+          calc: `${loadCount} × $${fees.afterHoursPerLoad} = ${formatCurrency(plan.fees.afterHours)}`
+        }] : []),
+        ...(plan.fees.delivery > 0 ? [{
+          label: `${pricing.region.label} delivery`,
+          calc: `${loadCount} × $${pricing.deliverySurcharge} = ${formatCurrency(plan.fees.delivery)}`
+        }] : []),
+        { label: 'Total', calc: `${formatCurrency(cost.min)} – ${formatCurrency(cost.max)}` }
       ]
     }
   };
 }
 
 /**
- * Compare bags vs ready-mix for a given volume
+ * Compare the all-in cost of bags vs ready-mix for a given volume
+ * Each side is a list of line items: bags pay for materials, mixer hire, delivery,
+ * labour and disposal; ready-mix pays for the planned truck order and fees, pump
+ * hire and labour. Labour is the time the job takes × crew size × hourly rate.
+ * The recommendation goes to the cheaper total unless the two are within
+ * COMPARISON_EITHER_MARGIN of each other.
  *
  * @param {Object} params - Input parameters
  * @param {number} params.volume - Total volume in cubic metres (with wastage)
  * @param {string} params.state - Australian state code (optional)
+ * @param {string} params.postcode - Australian postcode for regional ready-mix pricing (optional)
  * @param {number} params.bagPrice - Custom bag price (optional)
+ * @param {number} params.readymixPrice - Custom ready-mix price per m³ (optional)
+ * @param {string} params.productId - Bag product ID (default: standard 20kg)
+ * @param {string} params.truckId - Ready-mix truck type (optional - default: cheapest)
+ * @param {number} params.minutesPerLoad - Expected time on site per truck (optional)
+ * @param {boolean} params.afterHours - Ready-mix delivered outside normal hours
+ * @param {number} params.mixerHireDays - Days of mixer hire (optional - default: enough days to mix the bags)
+ * @param {number} params.mixerHireRate - Mixer hire per day (default: $70)
+ * @param {boolean} params.pumpHire - Hire a concrete pump for the ready-mix pour
+ * @param {number} params.bagDelivery - Delivery fee for the bags (default: 0, picked up)
+ * @param {number} params.labourRate - Hourly rate per person (default: 0, your own time)
+ * @param {number} params.crewSize - People on the job (default: 1)
+ * @param {number} params.disposal - Disposal of empty and leftover bags (default: 0)
  * @returns {Object} Comparison results
  */
-function compareBagsVsReadymix({ volume, state = null, bagPrice = null }) {
+function compareBagsVsReadymix({
+  volume,
+  state = null,
+  postcode = null,
+  bagPrice = null,
+  readymixPrice = null,
+  productId = CONSTANTS.DEFAULT_BAG_PRODUCT,
+  truckId = null,
+  minutesPerLoad = null,
+  afterHours = false,
+  mixerHireDays = null,
+  mixerHireRate = CONSTANTS.MIXER_HIRE_PER_DAY,
+  pumpHire = false,
+  bagDelivery = 0,
+  labourRate = 0,
+  crewSize = 1,
+  disposal = 0
+}) {
   // Validate inputs
   if (!volume || volume <= 0) {
     return {
@@ -533,59 +4185,92 @@ function compareBagsVsReadymix({ volume, state = null, bagPrice = null }) {
       error: 'Please enter a valid volume'
     };
   }
+  if (!crewSize || crewSize < 1) {
+    return {
+      valid: false,
+      error: 'Crew size must be at least 1'
+    };
+  }
+  if (mixerHireDays < 0 || mixerHireRate < 0 || bagDelivery < 0 || labourRate < 0 || disposal < 0) {
+    return {
+      valid: false,
+      error: 'Costs cannot be negative'
+    };
+  }
 
-  // Calculate bags
-  const bags = calculateBags(volume);
-  const bagPriceMin = bagPrice || CONSTANTS.BAG_PRICE_MIN;
-  const bagPriceMax = bagPrice || CONSTANTS.BAG_PRICE_MAX;
-  const bagCost = {
-    min: bags * bagPriceMin,
-    max: bags * bagPriceMax,
-    avg: bags * (bagPriceMin + bagPriceMax) / 2
-  };
+  // Calculate bags for the selected product
+  const product = getBagProduct(productId);
+  const bags = calculateBags(volume, product.id);
+  const bagPriceMin = bagPrice || product.priceMin;
+  const bagPriceMax = bagPrice || product.priceMax;
+  const bagCost = calculateBagCost(bags, bagPriceMin, bagPriceMax);
 
-  // Calculate ready-mix
-  const readymixCost = calculateReadymixCost(volume, state);
-  readymixCost.avg = (readymixCost.min + readymixCost.max) / 2;
+  // Mixing time scales with bag weight; a mixer is hired for bigger jobs unless days are given
+  const bagsLabourHours = bags * CONSTANTS.BAG_MIXING_HOURS * (product.weight / 20);
+  const mixerDays = mixerHireDays !== null
+    ? mixerHireDays
+    : (bags > CONSTANTS.MIXER_HIRE_MIN_BAGS ? Math.ceil(bagsLabourHours / CONSTANTS.MIXING_HOURS_PER_DAY) : 0);
 
-  // Determine recommendation
-  // Factors: cost, labour (bags = more work), time
-  // Generally, ready-mix becomes cost-effective around 0.5-1m³
-  const costDifference = bagCost.avg - readymixCost.avg;
-  const bagsLabourHours = bags * 0.05; // Estimate: ~3 minutes per bag to mix
+  // Plan the ready-mix order, including truck loads and fees
+  const readymixPlan = calculateReadymixLoads({ volume, state, postcode, readymixPrice, truckId, minutesPerLoad, afterHours }).results;
+  const readymixLabourHours = CONSTANTS.READYMIX_SETUP_HOURS + readymixPlan.orderVolume * CONSTANTS.READYMIX_PLACING_HOURS;
+
+  const fixed = (id, label, amount) => ({ id, label, min: amount, max: amount });
+  const labourItem = hours => fixed('labour', `Labour (${crewSize} × ${formatNumber(hours, 1)} h)`, hours * crewSize * labourRate);
+
+  const bagItems = [
+    { id: 'materials', label: `${bags} × ${product.weight}kg bags`, ...bagCost },
+    fixed('mixerHire', `Mixer hire (${mixerDays} day${mixerDays === 1 ? '' : 's'})`, mixerDays * mixerHireRate),
+    fixed('delivery', 'Bag delivery', bagDelivery),
+    labourItem(bagsLabourHours),
+    fixed('disposal', 'Disposal', disposal)
+  ].filter(item => item.max > 0);
+  const readymixItems = [
+    { id: 'concrete', label: `${formatNumber(readymixPlan.orderVolume, 1)} m³ ready-mix`, ...readymixPlan.concreteCost },
+    ...readymixPlan.feeItems.map(item => fixed(item.id, item.label, item.amount)),
+    ...(pumpHire ? [{ id: 'pumpHire', label: 'Pump hire', min: CONSTANTS.PUMP_HIRE_MIN, max: CONSTANTS.PUMP_HIRE_MAX }] : []),
+    labourItem(readymixLabourHours)
+  ].filter(item => item.max > 0);
+
+  const sumItems = items => {
+    const min = items.reduce((sum, item) => sum + item.min, 0);
+    const max = items.reduce((sum, item) => sum + item.max, 0);
+    return { min, max, avg: (min + max) / 2 };
+  };
+  const bagTotal = sumItems(bagItems);
+  const readymixTotal = sumItems(readymixItems);
+
+  // Recommend the cheaper all-in total unless the difference is within the margin
+  const costDifference = bagTotal.avg - readymixTotal.avg;
+  const margin = Math.max(CONSTANTS.COMPARISON_EITHER_MINIMUM, CONSTANTS.COMPARISON_EITHER_MARGIN * Math.min(bagTotal.avg, readymixTotal.avg));
+  const saving = formatCurrency(Math.abs(costDifference));
+  const mixingTime = `~${formatNumber(bagsLabourHours, 1)} hours`;
 
   let recommendation;
-  let reasons = [];
+  let reasons;
 
-  if (volume < 0.3) {
+  if (Math.abs(costDifference) <= margin) {
+    recommendation = 'either';
+    reasons = [
+      `All-in costs are within ${saving} of each other`,
+      'Ready-mix saves time and labour',
+      'Bags offer more flexibility - mix as needed'
+    ];
+  } else if (costDifference < 0) {
     recommendation = 'bags';
     reasons = [
-      'Small volume - bags are more practical',
-      'No minimum order charges',
-      'Mix as needed'
+      `Bags work out about ${saving} cheaper all-in`,
+      readymixPlan.fees.total > 0
+        ? `Ready-mix truck fees add ${formatCurrency(readymixPlan.fees.total)} to a small order`
+        : 'No minimum order or truck fees',
+      `Mixing ${bags} bags takes ${mixingTime}`
     ];
-  } else if (volume < 0.8) {
-    if (costDifference > 50) {
-      recommendation = 'readymix';
-      reasons = [
-        'Ready-mix is more cost effective for this volume',
-        `Save approximately ${formatCurrency(Math.abs(costDifference))}`,
-        'Much faster - poured in one go'
-      ];
-    } else {
-      recommendation = 'either';
-      reasons = [
-        'Costs are similar for this volume',
-        'Ready-mix saves time and labour',
-        'Bags offer more flexibility'
-      ];
-    }
   } else {
     recommendation = 'readymix';
     reasons = [
-      'Large volume - ready-mix is strongly recommended',
-      `Mixing ${bags} bags by hand would take ~${formatNumber(bagsLabourHours, 1)} hours`,
-      'Better concrete consistency with ready-mix'
+      `Ready-mix works out about ${saving} cheaper all-in`,
+      `Saves mixing ${bags} bags (${mixingTime})`,
+      'Better concrete consistency - poured in one go'
     ];
   }
 
@@ -593,19 +4278,46 @@ function compareBagsVsReadymix({ volume, state = null, bagPrice = null }) {
     valid: true,
     inputs: {
       volume,
-      state
+      state,
+      postcode,
+      bagPrice,
+      readymixPrice,
+      productId: product.id,
+      truckId: readymixPlan.truck.id,
+      minutesPerLoad,
+      afterHours,
+      mixerHireDays: mixerDays,
+      mixerHireRate,
+      pumpHire,
+      bagDelivery,
+      labourRate,
+      crewSize,
+      disposal
     },
     results: {
       bags: {
         quantity: bags,
-        cost: bagCost,
+        cost: { ...bagCost, avg: (bagCost.min + bagCost.max) / 2 },
         labourHours: bagsLabourHours,
-        weight: bags * 20 // Total weight in kg
+        mixerHireDays: mixerDays,
+        weight: bags * product.weight, // Total weight in kg
+        product,
+        items: bagItems,
+        total: bagTotal
       },
       readymix: {
-        volume: readymixCost.volume,
-        cost: readymixCost,
-        hasMinimumApplied: readymixCost.hasMinimumApplied
+        volume: readymixPlan.orderVolume,
+        cost: { ...readymixPlan.cost, avg: (readymixPlan.cost.min + readymixPlan.cost.max) / 2 },
+        hasMinimumApplied: readymixPlan.hasMinimumApplied,
+        pricing: readymixPlan.pricing,
+        truck: readymixPlan.truck,
+        trucks: readymixPlan.trucks,
+        loads: readymixPlan.loads,
+        fees: readymixPlan.fees,
+        feeItems: readymixPlan.feeItems,
+        labourHours: readymixLabourHours,
+        items: readymixItems,
+        total: readymixTotal
       },
       comparison: {
         costDifference,
@@ -617,6 +4329,117 @@ function compareBagsVsReadymix({ volume, state = null, bagPrice = null }) {
   };
 }
 
+// ===== PROJECT FUNCTIONS =====
+
+// Element types a project can hold, each backed by one of the calculators above
+const PROJECT_ELEMENT_TYPES = {
+  slab: { label: 'Rectangular Slab', calculate: calculateRectangularSlab },
+  postHole: { label: 'Post Holes', calculate: calculatePostHole },
+  footing: { label: 'Footings', calculate: calculateFooting },
+  column: { label: 'Columns / Piers', calculate: calculateColumn },
+  padPier: { label: 'Pad Footings + Piers', calculate: calculatePadPier },
+  circularSlab: { label: 'Circular Slab', calculate: calculateCircularSlab }
+};
+
+/**
+ * Calculate a whole project made up of several elements (slab, footings, post holes, etc.)
+ * Each element is calculated on its own, then volumes are totalled and bags are
+ * rounded up once for the whole job rather than per element.
+ *
+ * @param {Object} params - Input parameters
+ * @param {Array<Object>} params.elements - Elements as { id, type, label, params }
+ * @param {string} params.state - Australian state code (optional)
+ * @param {string} params.postcode - Australian postcode for regional ready-mix pricing (optional)
+ * @param {number} params.bagPrice - Custom price per bag (optional)
+ * @param {number} params.readymixPrice - Custom ready-mix price per m³ (optional)
+ * @param {string} params.productId - Bag product ID (default: standard 20kg)
+ * @returns {Object} Calculation results with per-element breakdown
+ */
+function calculateProject({
+  elements = [],
+  state = null,
+  postcode = null,
+  bagPrice = null,
+  readymixPrice = null,
+  productId = CONSTANTS.DEFAULT_BAG_PRODUCT
+}) {
+  const product = getBagProduct(productId);
+  const pricing = { state, postcode, bagPrice, readymixPrice };
+
+  const breakdown = elements.map(element => {
+    const type = PROJECT_ELEMENT_TYPES[element.type];
+    const result = type
+      ? type.calculate({ ...element.params, ...pricing, productId: product.id })
+      : { valid: false, error: 'Unknown element type' };
+
+    return {
+      id: element.id,
+      type: element.type,
+      label: element.label || (type ? type.label : element.type),
+      valid: result.valid,
+      error: result.error,
+      baseVolume: result.valid ? result.results.baseVolume : 0,
+      totalVolume: result.valid ? result.results.totalVolume : 0,
+      bags: result.valid ? result.results.bags : 0,
+      result
+    };
+  });
+
+  const validElements = breakdown.filter(element => element.valid);
+
+  // Validate inputs
+  if (validElements.length === 0) {
+    return {
+      valid: false,
+      error: 'Please add at least one valid element',
+      results: { elements: breakdown }
+    };
+  }
+
+  // Totals across all valid elements
+  const baseVolume = validElements.reduce((sum, element) => sum + element.baseVolume, 0);
+  const totalVolume = validElements.reduce((sum, element) => sum + element.totalVolume, 0);
+
+  // Calculate bags and costs for the whole job
+  const bags = calculateBags(totalVolume, product.id);
+  const bagCost = calculateBagCost(bags, bagPrice || product.priceMin, bagPrice || product.priceMax);
+  const readymixCost = calculateReadymixCost(totalVolume, state, postcode, readymixPrice);
+  const comparison = compareBagsVsReadymix({ volume: totalVolume, ...pricing, productId: product.id });
+
+  return {
+    valid: true,
+    inputs: {
+      elements,
+      state,
+      postcode,
+      bagPrice,
+      readymixPrice,
+      productId: product.id
+    },
+    results: {
+      elements: breakdown,
+      baseVolume,
+      totalVolume,
+      bags,
+      bagCost,
+      readymixCost,
+      product,
+      comparison: comparison.results.comparison
+    },
+    formula: {
+      description: 'Total volume = sum of element volumes (each including its own wastage)',
+      steps: [
+        ...validElements.map(element => ({
+          label: element.label,
+          calc: `${formatNumber(element.totalVolume, 4)} m³`
+        })),
+        { label: 'Total volume', calc: `${validElements.map(element => formatNumber(element.totalVolume, 4)).join(' + ')} = ${formatNumber(totalVolume, 4)} m³` },
+        { label: 'Bags needed', calc: `${formatNumber(totalVolume, 4)} × ${product.bagsPerCubicMetre} = ${bags} × ${product.weight}kg bags` }
+      ]
+    }
+  };
+}
+
 // ===== PRESET CONFIGURATIONS =====
 const PRESETS = {
   slab: {
@@ -626,24 +4449,169 @@ const PRESETS = {
     path: { length: 6, width: 1, depth: 0.075, label: 'Garden Path (6×1m)' },
     garage: { length: 6, width: 3, depth: 0.1, label: 'Single Garage (6×3m)' }
   },
+  polygonSlab: {
+    lPatio: { vertices: [{ x: 0, y: 0 }, { x: 6, y: 0 }, { x: 6, y: 3 }, { x: 3, y: 3 }, { x: 3, y: 6 }, { x: 0, y: 6 }], depth: 0.1, label: 'L-Shaped Patio (6×6m)' },
+    tSlab: { vertices: [{ x: 0, y: 0 }, { x: 2, y: 0 }, { x: 2, y: 4 }, { x: 5, y: 4 }, { x: 5, y: 6 }, { x: -3, y: 6 }, { x: -3, y: 4 }, { x: 0, y: 4 }], depth: 0.1, label: 'T-Shaped Slab (8×6m)' },
+    garagePorch: { vertices: [{ x: 0, y: 0 }, { x: 6, y: 0 }, { x: 6, y: 6 }, { x: 0, y: 6 }, { x: 0, y: 4.5 }, { x: -1.5, y: 4.5 }, { x: -1.5, y: 1.5 }, { x: 0, y: 1.5 }], depth: 0.125, label: 'Garage + Side Porch' }
+  },
+  surveySlab: {
+    driveway: {
+      csv: [
+      'x,y,finished,subgrade',
+      '0,0,10.000,9.900',
+      '0,2,10.000,9.900',
+      '0,4,10.000,9.900',
+      '2,0,9.980,9.880',
+      '2,2,9.980,9.840',
+      '2,4,9.980,9.880',
+      '4,0,9.960,9.860',
+      '4,2,9.960,9.860',
+      '4,4,9.960,9.840',
+      '6,0,9.940,9.840',
+      '6,2,9.940,9.840',
+      '6,4,9.940,9.840'
+      ].join('\n'),
+      label: 'Driveway Grid (6×4m, 1:100 fall)'
+    },
+    patio: {
+      csv: [
+      'x,y,finished,subgrade',
+      '0,0,20.150,20.040',
+      '4.5,0,20.120,20.010',
+      '4.5,3.2,20.100,19.970',
+      '2.1,4.0,20.110,19.990',
+      '0,3.6,20.130,20.020',
+      '2.3,1.8,20.130,19.980'
+      ].join('\n'),
+      label: 'Patio Spot Levels (6 points)'
+    }
+  },
+  raftSlab: {
+    shed: { length: 3, width: 3, thickness: 0.1, edgeBeamWidth: 0.3, edgeBeamDepth: 0.3, internalBeamSpacing: 0, label: 'Garden Shed (3×3m)' },
+    singleGarage: { length: 6, width: 3.5, thickness: 0.1, edgeBeamWidth: 0.3, edgeBeamDepth: 0.4, internalBeamSpacing: 0, label: 'Single Garage (6×3.5m)' },
+    doubleGarage: { length: 6, width: 6, thickness: 0.1, edgeBeamWidth: 0.3, edgeBeamDepth: 0.5, internalBeamWidth: 0.3, internalBeamDepth: 0.4, internalBeamSpacing: 4, label: 'Double Garage (6×6m)' },
+    farmShed: { length: 12, width: 9, thickness: 0.1, edgeBeamWidth: 0.3, edgeBeamDepth: 0.5, internalBeamWidth: 0.3, internalBeamDepth: 0.4, internalBeamSpacing: 4, label: 'Farm Shed (12×9m)' }
+  },
+  wafflePodSlab: {
+    doubleGarage: { length: 6, width: 6, podHeight: 0.175, ribWidth: 0.11, toppingThickness: 0.085, edgeBeamWidth: 0.3, edgeBeamDepth: 0.36, label: 'Double Garage (6×6m)' },
+    smallHouse: { length: 15, width: 10, podHeight: 0.225, ribWidth: 0.11, toppingThickness: 0.085, edgeBeamWidth: 0.3, edgeBeamDepth: 0.41, label: 'Small House (15×10m)' },
+    familyHome: { length: 20, width: 14, podHeight: 0.3, ribWidth: 0.11, toppingThickness: 0.085, edgeBeamWidth: 0.3, edgeBeamDepth: 0.485, label: 'Family Home (20×14m)' }
+  },
+  stairs: {
+    gardenSteps: { type: 'solid', rise: 0.17, going: 0.3, steps: 3, width: 1.2, thickness: 0, landingLength: 0, label: 'Garden Steps (3 × 1.2m)' },
+    porchSteps: { type: 'solid', rise: 0.175, going: 0.3, steps: 2, width: 1.8, thickness: 0.1, landingLength: 1.5, label: 'Porch Steps + Landing' },
+    entryStairs: { type: 'waist', rise: 0.175, going: 0.28, steps: 5, width: 1.2, thickness: 0.15, landingLength: 1.2, label: 'Entry Stairs (5 steps + landing)' },
+    deckStairs: { type: 'waist', rise: 0.18, going: 0.25, steps: 8, width: 1, thickness: 0.15, landingLength: 0, label: 'Deck Stairs (8 steps)' }
+  },
+  reinforcement: {
+    shedSlab: { element: 'slab', length: 3, width: 3, meshId: 'SL72', layers: 1, label: 'Shed Slab (3×3m, SL72)' },
+    garageSlab: { element: 'slab', length: 6, width: 6, meshId: 'SL82', layers: 1, label: 'Double Garage (6×6m, SL82)' },
+    stripFooting: { element: 'footing', length: 12, width: 0.3, footingCount: 1, meshId: '3-L11TM', layers: 2, label: 'Strip Footing (12m, 2 × 3-L11TM)' },
+    padFootings: { element: 'footing', length: 0.6, width: 0.6, footingCount: 9, meshId: 'SL82', layers: 1, label: 'Pad Footings (9 × 600mm)' }
+  },
+  formwork: {
+    shedSlab: { element: 'slab', length: 3, width: 3, depth: 0.1, label: 'Shed Slab (3×3m)' },
+    garageSlab: { element: 'slab', length: 6, width: 6, depth: 0.1, label: 'Double Garage (6×6m)' },
+    driveway: { element: 'slab', length: 10, width: 3, depth: 0.125, label: 'Driveway (10×3m)' },
+    padFootings: { element: 'footing', length: 0.45, width: 0.45, depth: 0.2, footingCount: 6, label: 'Pad Footings (6 × 450mm)' }
+  },
+  subBase: {
+    shedSlab: { length: 3, width: 3, thickness: 0.075, materialId: 'crusherDust', label: 'Shed Slab (3×3m, 75mm)' },
+    driveway: { length: 10, width: 3, thickness: 0.1, materialId: 'roadbase', label: 'Driveway (10×3m, 100mm)' },
+    garage: { length: 6, width: 6, thickness: 0.1, materialId: 'roadbase', label: 'Double Garage (6×6m, 100mm)' },
+    paverBedding: { length: 5, width: 4, thickness: 0.03, materialId: 'sand', label: 'Paver Bedding (5×4m, 30mm)' }
+  },
+  mixDesign: {
+    postHoles: { volume: 0.25, mixId: '1:2:4', label: 'Fence Post Holes (0.25 m³)' },
+    shedSlab: { volume: 1, mixId: 'N20', label: 'Shed Slab (1 m³)' },
+    driveway: { volume: 3.5, mixId: 'N32', label: 'Driveway (3.5 m³)' }
+  },
   postHole: {
-    fence: { holeDiameter: 0.3, holeDepth: 0.6, postWidth: 0.1, label: 'Fence Post (300mm hole)' },
-    deck: { holeDiameter: 0.45, holeDepth: 0.6, postWidth: 0.1, label: 'Deck Post (450mm hole)' },
-    pergola: { holeDiameter: 0.4, holeDepth: 0.5, postWidth: 0.09, label: 'Pergola Post (400mm hole)' }
+    fence: { augerId: 'auger-300', holeDepth: 0.6, postId: 'pine-100', label: 'Fence Post (300mm hole)' },
+    steelFence: { augerId: 'auger-200', holeDepth: 0.6, postId: 'shs-65', label: 'Steel Fence Post (200mm hole)' },
+    deck: { augerId: 'auger-450', holeDepth: 0.6, postId: 'pine-100', label: 'Deck Post (450mm hole)' },
+    pergola: { augerId: 'auger-350', holeDepth: 0.5, postId: 'pine-90', label: 'Pergola Post (350mm hole)' },
+    logFence: { augerId: 'auger-300', holeDepth: 0.6, postId: 'log-125', label: 'Round Log Post (300mm hole)' }
+  },
+  fenceLine: {
+    frontFence: {
+      runs: [{ length: 18, gates: [1, 3.6] }],
+      maxSpacing: 2.4,
+      hole: { augerId: 'auger-300', holeDepth: 0.6, postId: 'pine-100' },
+      gateHole: { augerId: 'auger-350', holeDepth: 0.9, postId: 'pine-125' },
+      label: 'Front Fence (18m, 2 gates)'
+    },
+    backyard: {
+      runs: [{ length: 20 }, { length: 15, gates: [1] }, { length: 20 }],
+      maxSpacing: 2.4,
+      hole: { augerId: 'auger-300', holeDepth: 0.6, postId: 'pine-100' },
+      gateHole: { augerId: 'auger-350', holeDepth: 0.75, postId: 'pine-125' },
+      label: 'Backyard Boundary (55m, 1 gate)'
+    },
+    poolFence: {
+      runs: [{ length: 10, gates: [0.9] }, { length: 6 }, { length: 10 }, { length: 6 }],
+      closed: true,
+      maxSpacing: 2.45,
+      hole: { augerId: 'auger-200', holeDepth: 0.6, postId: 'shs-65' },
+      gateHole: { augerId: 'auger-250', holeDepth: 0.6, postId: 'shs-75' },
+      label: 'Pool Fence (10×6m, 1 gate)'
+    }
   },
   footing: {
     shed: { length: 0.4, width: 0.4, depth: 0.3, label: 'Shed Footing (400×400mm)' },
     deck: { length: 0.45, width: 0.45, depth: 0.35, label: 'Deck Footing (450×450mm)' },
     retaining: { length: 2, width: 0.4, depth: 0.3, label: 'Strip Footing (2m)' }
   },
+  deckFootings: {
+    smallDeck: {
+      length: 3.6, width: 2.4, bearerSpacing: 1.8, maxBearerSpan: 1.8,
+      footingType: 'pad', footing: { length: 0.4, width: 0.4, depth: 0.4 },
+      label: 'Small Deck (3.6×2.4m, pads)'
+    },
+    familyDeck: {
+      length: 6, width: 4, bearerSpacing: 1.8, maxBearerSpan: 1.8,
+      footingType: 'hole', hole: { augerId: 'auger-300', holeDepth: 0.6, postId: 'pine-90' },
+      label: 'Family Deck (6×4m, posts)'
+    },
+    entertainer: {
+      length: 8, width: 5, bearerSpacing: 2.1, maxBearerSpan: 2,
+      footingType: 'pad', footing: { length: 0.45, width: 0.45, depth: 0.45 },
+      label: 'Entertainer Deck (8×5m, pads)'
+    }
+  },
+  stripFooting: {
+    garage: { length: 6, buildingWidth: 6, width: 0.3, depth: 0.4, label: 'Double Garage (6×6m)' },
+    granny: { length: 10, buildingWidth: 6, width: 0.3, depth: 0.5, internalWalls: [{ length: 5.7, ends: 2 }], label: 'Granny Flat (10×6m + 1 wall)' },
+    lShaped: {
+      runs: [{ length: 12, turn: 90 }, { length: 5, turn: 90 }, { length: 6, turn: -90 }, { length: 4, turn: 90 }, { length: 6, turn: 90 }, { length: 9, turn: 90 }],
+      width: 0.3,
+      depth: 0.45,
+      label: 'L-Shaped House (12×9m)'
+    }
+  },
+  blockWall: {
+    gardenWall: { length: 6, height: 0.6, blockTypeId: '150', fillPatternId: '400', footingWidth: 0.3, footingDepth: 0.3, label: 'Garden Wall (6m × 600mm)' },
+    retainingWall: { length: 10, height: 1, blockTypeId: '200', fillPatternId: 'all', footingWidth: 0.6, footingDepth: 0.3, label: 'Retaining Wall (10m × 1m)' },
+    letterbox: { length: 0.8, height: 1.2, blockTypeId: '200', fillPatternId: 'all', label: 'Letterbox Pier (800mm × 1.2m)' }
+  },
   column: {
     veranda: { diameter: 0.3, height: 2.4, label: 'Veranda Column (300mm)' },
-    carport: { diameter: 0.35, height: 2.7, label: 'Carport Column (350mm)' }
+    carport: { diameter: 0.35, height: 2.7, label: 'Carport Column (350mm)' },
+    taperedPlinth: { shape: 'tapered', diameter: 0.3, baseDiameter: 0.45, height: 0.6, label: 'Tapered Plinth (300–450mm)' },
+    belledPier: { shape: 'belled', diameter: 0.45, bellDiameter: 0.9, bellHeight: 0.4, height: 2.5, label: 'Belled Pier (450mm, 900mm bell)' }
+  },
+  padPier: {
+    deckPier: { padLength: 0.4, padWidth: 0.4, padDepth: 0.2, pierShape: 'square', pierWidth: 0.15, pierHeight: 0.4, footingCount: 9, label: 'Deck Piers (9 × 400mm pads)' },
+    houseStump: { padLength: 0.6, padWidth: 0.6, padDepth: 0.2, pierShape: 'round', pierDiameter: 0.3, pierHeight: 0.6, footingCount: 12, label: 'House Stumps (12 × 600mm pads)' },
+    verandaPier: { padLength: 0.5, padWidth: 0.5, padDepth: 0.25, pierShape: 'round', pierDiameter: 0.25, pierHeight: 0.9, footingCount: 4, label: 'Veranda Piers (4 × 500mm pads)' }
   },
   circularSlab: {
     firePit: { diameter: 1.2, thickness: 0.1, label: 'Fire Pit Base (1.2m)' },
     birdbath: { diameter: 0.6, thickness: 0.075, label: 'Birdbath Base (600mm)' },
-    roundPatio: { diameter: 3, thickness: 0.1, label: 'Round Patio (3m)' }
+    roundPatio: { diameter: 3, thickness: 0.1, label: 'Round Patio (3m)' },
+    tankRing: { shape: 'annulus', diameter: 5.6, innerDiameter: 3.6, thickness: 0.1, label: 'Path Around Water Tank (1m ring)' },
+    halfRoundPatio: { shape: 'semicircle', diameter: 4, thickness: 0.1, label: 'Half-Round Patio (4m)' },
+    cornerPad: { shape: 'sector', diameter: 4, angle: 90, thickness: 0.1, label: 'Quarter-Circle Corner Pad (2m radius)' }
   }
 };
 
@@ -655,16 +4623,55 @@ if (typeof module !== 'undefined' && module.exports) {
     mmToMetres,
     metresToMm,
     applyWastage,
+    getBagProduct,
+    nearestAuger,
     calculateBags,
     calculateBagCost,
+    findReadymixRegion,
+    getReadymixPricing,
     calculateReadymixCost,
     formatNumber,
     formatCurrency,
+    polygonArea,
+    polygonPerimeter,
+    polygonCentroid,
+    clipPolygonToConvex,
+    edgesToVertices,
+    gridAverageDepth,
+    triangleArea,
+    triangulatePoints,
+    frustumVolume,
+    parseSurveyCsv,
+    parseOutlineCsv,
     calculateRectangularSlab,
+    calculateVariableDepthSlab,
+    calculateSurveySlab,
+    calculatePolygonSlab,
+    calculateRaftSlab,
+    calculateWafflePodSlab,
+    calculateStairs,
     calculatePostHole,
+    calculateFenceLine,
     calculateFooting,
+    calculateStripFooting,
+    calculateDeckFootings,
+    calculateBlockWall,
     calculateColumn,
+    calculatePadPier,
     calculateCircularSlab,
-    compareBagsVsReadymix
+    countLappedPieces,
+    calculateReinforcement,
+    countStockLengths,
+    calculateFormwork,
+    calculateSubBase,
+    addSubBaseToResult,
+    parseMixRatio,
+    calculateMixDesign,
+    addMixDesignToResult,
+    splitReadymixLoads,
+    calculateReadymixLoads,
+    compareBagsVsReadymix,
+    PROJECT_ELEMENT_TYPES,
+    calculateProject
   };
 }
@@ -47,6 +47,19 @@ function qsa(selector, parent = document) {
   return parent.querySelectorAll(selector);
 }
 
+/**
+ * Escape user-entered text for safe insertion into innerHTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 // ===== UNIT CONVERSION UI =====
 
 /**
@@ -218,8 +231,9 @@ function initWastageSlider(sliderId, valueDisplayId, onChange) {
  */
 function renderResults(result, elements) {
   if (!result || !result.valid) {
-    // Show placeholders
-    Object.values(elements).forEach(id => {
+    // Show placeholders (labels keep their last text)
+    Object.entries(elements).forEach(([key, id]) => {
+      if (key === 'bagsLabel' || key === 'bagPrice' || key === 'readymixNote') return;
       const el = $(id);
       if (el) {
         el.textContent = '--';
@@ -249,21 +263,68 @@ function renderResults(result, elements) {
     $(elements.bags).classList.remove('result-value--placeholder');
   }
 
+  // Bag product label and price basis
+  if (elements.bagsLabel && $(elements.bagsLabel)) {
+    $(elements.bagsLabel).textContent = `${results.product.weight}kg Bags Needed`;
+  }
+  if (elements.bagPrice && $(elements.bagPrice)) {
+    // Per-bag prices come from the cost so a custom bag price shows through
+    const priceMin = results.bags > 0 ? results.bagCost.min / results.bags : results.product.priceMin;
+    const priceMax = results.bags > 0 ? results.bagCost.max / results.bags : results.product.priceMax;
+    $(elements.bagPrice).textContent = priceMin === priceMax
+      ? `Based on $${priceMin.toFixed(2)}/bag`
+      : `Based on $${priceMin.toFixed(2)}-$${priceMax.toFixed(2)}/bag`;
+  }
+
   // Bag cost
   if (elements.bagCost && $(elements.bagCost)) {
-    $(elements.bagCost).innerHTML = `${formatCurrency(results.bagCost.min)} <span>-</span> ${formatCurrency(results.bagCost.max)}`;
+    $(elements.bagCost).innerHTML = formatCostRange(results.bagCost);
     $(elements.bagCost).classList.remove('result-value--placeholder');
   }
 
   // Ready-mix cost
   if (elements.readymixCost && $(elements.readymixCost)) {
-    $(elements.readymixCost).innerHTML = `${formatCurrency(results.readymixCost.min)} <span>-</span> ${formatCurrency(results.readymixCost.max)}`;
+    $(elements.readymixCost).innerHTML = formatCostRange(results.readymixCost);
     $(elements.readymixCost).classList.remove('result-value--placeholder');
   }
+  if (elements.readymixNote && $(elements.readymixNote)) {
+    $(elements.readymixNote).textContent = getReadymixPricingNote(results.readymixCost);
+  }
+}
+
+/**
+ * Format a cost range for the results panel (a single figure when a custom price makes it exact)
+ * @param {Object} cost - Cost range { min, max }
+ * @returns {string} HTML string
+ */
+function formatCostRange(cost) {
+  if (cost.min === cost.max) {
+    return formatCurrency(cost.min);
+  }
+  return `${formatCurrency(cost.min)} <span>-</span> ${formatCurrency(cost.max)}`;
+}
+
+/**
+ * Describe where a ready-mix cost range's pricing came from
+ * @param {Object} readymixCost - Result of calculateReadymixCost
+ * @returns {string} Short note for the result subtext
+ */
+function getReadymixPricingNote(readymixCost) {
+  switch (readymixCost.source) {
+    case 'custom':
+      return 'Delivered, at your quoted price';
+    case 'postcode':
+      return `Delivered, ${readymixCost.region.label} pricing`;
+    case 'state':
+      return `Delivered, ${CONSTANTS.READYMIX_PRICES[readymixCost.state].label} average`;
+    default:
+      return 'Delivered, varies by region';
+  }
 }
 
 /**
  * Render formula breakdown
+ * Text is escaped because step labels can be user-entered (project element names).
  * @param {Object} result - Calculation result object
  * @param {string} containerId - Container element ID
  */
@@ -272,14 +333,14 @@ function renderFormula(result, containerId) {
   if (!container || !result || !result.valid) return;
 
   const { formula } = result;
-  let html = `<div class="formula-box"><strong>${formula.description}</strong></div>`;
+  let html = `<div class="formula-box"><strong>${escapeHtml(formula.description)}</strong></div>`;
 
   html += '<div class="formula-steps">';
   formula.steps.forEach(step => {
     html += `
       <div class="formula-step">
-        <span class="formula-step-label">${step.label}</span>
-        <span class="formula-step-calc">${step.calc}</span>
+        <span class="formula-step-label">${escapeHtml(step.label)}</span>
+        <span class="formula-step-calc">${escapeHtml(step.calc)}</span>
       </div>
     `;
   });
@@ -288,6 +349,221 @@ function renderFormula(result, containerId) {
   container.innerHTML = html;
 }
 
+// ===== OUTLINE DIAGRAM =====
+
+/**
+ * Parse lines of comma or space separated numbers (e.g. "3, 4" per line)
+ * Blank lines are skipped; a line with the wrong number of values is returned as null
+ * @param {string} text - Raw textarea text
+ * @param {number} columns - Expected numbers per line
+ * @returns {Array<Array<number>|null>} Parsed rows
+ */
+function parseNumberRows(text, columns) {
+  return text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line !== '')
+    .map(line => {
+      const values = line.split(/[\s,]+/).map(Number);
+      return values.length === columns && values.every(v => !isNaN(v)) ? values : null;
+    });
+}
+
+/**
+ * Scale plan coordinates (metres) to fit an SVG view box, keeping the aspect ratio
+ * SVG y runs down the page, so y is flipped to keep the plan the right way up
+ * @param {Array<Object>} points - Points as { x, y } in metres
+ * @param {number} width - View box width
+ * @param {number} height - View box height
+ * @param {number} padding - Space to leave around the plan
+ * @returns {Array<Object>} Points as { x, y } in view box units
+ */
+function fitPlanToView(points, width, height, padding) {
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const spanX = Math.max(...xs) - minX || 1;
+  const spanY = Math.max(...ys) - minY || 1;
+  const scale = Math.min((width - padding * 2) / spanX, (height - padding * 2) / spanY);
+  const offsetX = (width - spanX * scale) / 2;
+  const offsetY = (height - spanY * scale) / 2;
+
+  return points.map(p => ({
+    x: offsetX + (p.x - minX) * scale,
+    y: height - offsetY - (p.y - minY) * scale
+  }));
+}
+
+/**
+ * Render a slab outline as an SVG plan view with edge lengths
+ * @param {Array<Object>} vertices - Vertices as { x, y } in metres
+ * @param {string} containerId - Container element ID
+ */
+function renderOutlineSvg(vertices, containerId) {
+  const container = $(containerId);
+  if (!container) return;
+
+  if (!vertices || vertices.length < 3) {
+    container.innerHTML = '<p class="diagram-caption">Enter an outline to see its shape.</p>';
+    return;
+  }
+
+  const width = 320;
+  const height = 220;
+  const points = fitPlanToView(vertices, width, height, 28);
+
+  const labels = vertices.map((v, i) => {
+    const next = vertices[(i + 1) % vertices.length];
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    const length = Math.hypot(next.x - v.x, next.y - v.y);
+    return `<text x="${((a.x + b.x) / 2).toFixed(1)}" y="${((a.y + b.y) / 2 - 4).toFixed(1)}" text-anchor="middle" font-size="11" font-weight="600" fill="#d97706">${formatNumber(length)} m</text>`;
+  }).join('');
+
+  const corners = points
+    .map(p => `<circle cx="${p.x.toFixed(1)}" cy="${p.y.toFixed(1)}" r="3" fill="#f59e0b"/>`)
+    .join('');
+
+  container.innerHTML = `
+    <svg class="diagram-svg" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg" role="img" aria-label="Slab outline plan view">
+      <polygon points="${points.map(p => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' ')}" fill="#cbd5e1" stroke="#475569" stroke-width="1.5"/>
+      ${corners}
+      ${labels}
+    </svg>
+  `;
+}
+
+/**
+ * Render triangulated level-survey points as an SVG plan view
+ * Each point is labelled with its concrete thickness in mm, and a slab outline
+ * is drawn over the triangles so the parts it leaves out are visible
+ * @param {Array<Object>} points - Survey points as { x, y, thickness } in metres
+ * @param {Array<Array<number>>} triangles - Triangles as [i, j, k] indexes into points
+ * @param {string} containerId - Container element ID
+ * @param {Array<Object>} outline - Slab outline as { x, y } in metres (optional)
+ */
+function renderSurveySvg(points, triangles, containerId, outline = null) {
+  const container = $(containerId);
+  if (!container) return;
+
+  if (!points || !triangles || triangles.length === 0) {
+    container.innerHTML = '<p class="diagram-caption">Import survey points to see the triangulated plan.</p>';
+    return;
+  }
+
+  const width = 320;
+  const height = 220;
+  const corners = outline || [];
+  const fitted = fitPlanToView([...points, ...corners], width, height, 24);
+  const view = fitted.slice(0, points.length);
+  const outlineView = fitted.slice(points.length);
+
+  const faces = triangles
+    .map(t => `<polygon points="${t.map(i => `${view[i].x.toFixed(1)},${view[i].y.toFixed(1)}`).join(' ')}" fill="#cbd5e1" stroke="#64748b" stroke-width="0.75"/>`)
+    .join('');
+
+  const labels = view.map((p, i) => `
+      <circle cx="${p.x.toFixed(1)}" cy="${p.y.toFixed(1)}" r="2.5" fill="#f59e0b"/>
+      <text x="${p.x.toFixed(1)}" y="${(p.y - 5).toFixed(1)}" text-anchor="middle" font-size="9" font-weight="600" fill="#d97706">${formatNumber(metresToMm(points[i].thickness), 0)}</text>`)
+    .join('');
+
+  container.innerHTML = `
+    <svg class="diagram-svg" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg" role="img" aria-label="Triangulated survey plan with thickness in mm">
+      ${faces}
+      ${outlineView.length > 0 ? `<polygon points="${outlineView.map(p => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' ')}" fill="none" stroke="#1e293b" stroke-width="2" stroke-dasharray="6 3"/>` : ''}
+      ${labels}
+    </svg>
+    <p class="diagram-caption">Concrete thickness (mm) at each survey point${outlineView.length > 0 ? ' &ndash; only the area inside the dashed slab outline is counted' : ''}</p>
+  `;
+}
+
+/**
+ * Render a flight of stairs as an SVG side profile with ground line
+ * @param {Object|null} result - Valid calculateStairs result, or null for the placeholder
+ * @param {string} containerId - Container element ID
+ */
+function renderStairsSvg(result, containerId) {
+  const container = $(containerId);
+  if (!container) return;
+
+  if (!result || !result.valid) {
+    container.innerHTML = '<p class="diagram-caption">Enter the step sizes to see the side profile.</p>';
+    return;
+  }
+
+  const { profile, totalRise, totalGoing } = result.results;
+  const { rise, going, steps } = result.inputs;
+  const width = 320;
+  const height = 220;
+
+  // Ground line runs a little past both ends of the flight
+  const xs = profile.map(p => p.x);
+  const margin = (Math.max(...xs) - Math.min(...xs)) * 0.08;
+  const ground = [{ x: Math.min(...xs) - margin, y: 0 }, { x: Math.max(...xs) + margin, y: 0 }];
+  const view = fitPlanToView([...profile, ...ground], width, height, 30);
+  const outline = view.slice(0, profile.length);
+  const [groundStart, groundEnd] = view.slice(profile.length);
+
+  // Dimension labels: total rise above the top step, total going under the flight
+  const top = outline[profile.findIndex(p => p.x === totalGoing && p.y === totalRise)] || outline[outline.length - 1];
+  const bottom = outline[0];
+
+  container.innerHTML = `
+    <svg class="diagram-svg" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg" role="img" aria-label="Stairs side profile">
+      <line x1="${groundStart.x.toFixed(1)}" y1="${groundStart.y.toFixed(1)}" x2="${groundEnd.x.toFixed(1)}" y2="${groundEnd.y.toFixed(1)}" stroke="#64748b" stroke-width="1" stroke-dasharray="4 3"/>
+      <polygon points="${outline.map(p => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' ')}" fill="#cbd5e1" stroke="#475569" stroke-width="1.5"/>
+      <text x="${top.x.toFixed(1)}" y="${(top.y - 6).toFixed(1)}" text-anchor="end" font-size="11" font-weight="600" fill="#d97706">${formatNumber(metresToMm(totalRise), 0)} rise</text>
+      <text x="${((bottom.x + top.x) / 2).toFixed(1)}" y="${(groundStart.y + 16).toFixed(1)}" text-anchor="middle" font-size="11" font-weight="600" fill="#d97706">${formatNumber(metresToMm(totalGoing), 0)} going</text>
+    </svg>
+    <p class="diagram-caption">${steps} × ${formatNumber(metresToMm(rise), 0)}mm risers, ${formatNumber(metresToMm(going), 0)}mm goings</p>
+  `;
+}
+
+/**
+ * Render a deck footing layout as an SVG plan view
+ * Bearers are drawn as lines along the deck length with a footing at each grid point
+ * @param {Object|null} result - Valid calculateDeckFootings result, or null for the placeholder
+ * @param {string} containerId - Container element ID
+ */
+function renderDeckFootingsSvg(result, containerId) {
+  const container = $(containerId);
+  if (!container) return;
+
+  if (!result || !result.valid) {
+    container.innerHTML = '<p class="diagram-caption">Enter the deck size and spans to see the footing layout.</p>';
+    return;
+  }
+
+  const { footings, bearers, footingsPerBearer, bearerSpacing, bearerSpan } = result.results;
+  const { length, width } = result.inputs;
+  const corners = [{ x: 0, y: 0 }, { x: length, y: 0 }, { x: length, y: width }, { x: 0, y: width }];
+  const view = fitPlanToView([...corners, ...footings], 320, 220, 30);
+  const deck = view.slice(0, 4);
+  const points = view.slice(4);
+
+  const bearerLines = Array.from({ length: bearers }, (_, row) => {
+    const start = points[row * footingsPerBearer];
+    const end = points[row * footingsPerBearer + footingsPerBearer - 1];
+    return `<line x1="${start.x.toFixed(1)}" y1="${start.y.toFixed(1)}" x2="${end.x.toFixed(1)}" y2="${end.y.toFixed(1)}" stroke="#475569" stroke-width="2"/>`;
+  }).join('');
+
+  const footingMarks = points
+    .map(p => `<rect x="${(p.x - 4).toFixed(1)}" y="${(p.y - 4).toFixed(1)}" width="8" height="8" fill="#f59e0b" stroke="#b45309"/>`)
+    .join('');
+
+  container.innerHTML = `
+    <svg class="diagram-svg" viewBox="0 0 320 220" xmlns="http://www.w3.org/2000/svg" role="img" aria-label="Deck footing layout plan view">
+      <polygon points="${deck.map(p => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' ')}" fill="#e2e8f0" stroke="#94a3b8" stroke-width="1" stroke-dasharray="4 3"/>
+      ${bearerLines}
+      ${footingMarks}
+      <text x="${((deck[0].x + deck[1].x) / 2).toFixed(1)}" y="${(deck[0].y + 18).toFixed(1)}" text-anchor="middle" font-size="11" font-weight="600" fill="#d97706">${formatNumber(length)} m</text>
+      <text transform="translate(${(deck[0].x - 10).toFixed(1)} ${((deck[0].y + deck[3].y) / 2).toFixed(1)}) rotate(-90)" text-anchor="middle" font-size="11" font-weight="600" fill="#d97706">${formatNumber(width)} m</text>
+    </svg>
+    <p class="diagram-caption">${bearers} bearers at ${formatNumber(bearerSpacing)} m, footings at ${formatNumber(bearerSpan)} m along each bearer</p>
+  `;
+}
+
 // ===== PRESETS =====
 
 /**
@@ -311,12 +587,69 @@ function initPresets(containerId, presets, applyPreset) {
   });
 }
 
+// ===== BAG PRODUCT SELECTOR =====
+
+/**
+ * Initialize bag product selector, populated from the product catalogue
+ * @param {string} selectId - Select element ID
+ * @param {Function} onChange - Callback when product changes
+ */
+function initProductSelector(selectId, onChange) {
+  const select = $(selectId);
+  if (!select) return;
+
+  const selected = select.value || CONSTANTS.DEFAULT_BAG_PRODUCT;
+  select.innerHTML = Object.values(CONSTANTS.BAG_PRODUCTS)
+    .map(product => `<option value="${product.id}">${product.label} (${product.bagsPerCubicMetre} bags/m³)</option>`)
+    .join('');
+  select.value = CONSTANTS.BAG_PRODUCTS[selected] ? selected : CONSTANTS.DEFAULT_BAG_PRODUCT;
+
+  select.addEventListener('change', () => {
+    if (onChange) {
+      onChange(select.value);
+    }
+  });
+
+  return {
+    getProduct: () => select.value
+  };
+}
+
+/**
+ * Initialize a mix design selector from the DIY mix catalogue
+ * Options already in the markup (e.g. "Premix bags") are kept ahead of the mixes.
+ * @param {string} selectId - Select element ID
+ * @param {Function} onChange - Callback when the mix changes
+ */
+function initMixSelector(selectId, onChange) {
+  const select = $(selectId);
+  if (!select) return;
+
+  const selected = select.value;
+  Object.values(CONSTANTS.MIX_DESIGNS).forEach(mix => {
+    const option = document.createElement('option');
+    option.value = mix.id;
+    option.textContent = mix.label;
+    select.appendChild(option);
+  });
+  if (selected) {
+    select.value = selected;
+  }
+
+  select.addEventListener('change', () => {
+    if (onChange) {
+      onChange(select.value);
+    }
+  });
+}
+
 // ===== SHAPE TOGGLE (for column/post calculators) =====
 
 /**
- * Initialize shape toggle (round vs square)
+ * Initialize shape toggle (round, square, tapered, belled, ...)
+ * A field listed under several shapes is shown for any of them and hidden otherwise.
  * @param {string} toggleContainerId - Toggle container ID
- * @param {Object} fieldsConfig - Configuration for showing/hiding fields
+ * @param {Object} fieldsConfig - Field IDs to show for each shape, e.g. { round: ['field-diameter'] }
  * @param {Function} onShapeChange - Callback when shape changes
  */
 function initShapeToggle(toggleContainerId, fieldsConfig, onShapeChange) {
@@ -326,24 +659,17 @@ function initShapeToggle(toggleContainerId, fieldsConfig, onShapeChange) {
   const options = qsa('.toggle-option', container);
   let currentShape = 'round';
 
+  const allFields = [...new Set(Object.values(fieldsConfig).flat())];
+
   const updateFields = (shape) => {
     // Show/hide fields based on shape
-    if (fieldsConfig.round) {
-      fieldsConfig.round.forEach(fieldId => {
-        const field = $(fieldId);
-        if (field) {
-          field.style.display = shape === 'round' ? '' : 'none';
-        }
-      });
-    }
-    if (fieldsConfig.square) {
-      fieldsConfig.square.forEach(fieldId => {
-        const field = $(fieldId);
-        if (field) {
-          field.style.display = shape === 'square' ? '' : 'none';
-        }
-      });
-    }
+    const shown = fieldsConfig[shape] || [];
+    allFields.forEach(fieldId => {
+      const field = $(fieldId);
+      if (field) {
+        field.style.display = shown.includes(fieldId) ? '' : 'none';
+      }
+    });
   };
 
   options.forEach(option => {
@@ -474,8 +800,40 @@ function initFAQAccordion() {
 
 // ===== STATE SELECTOR (for ready-mix pricing) =====
 
+const PRICING_LOCATION_STORAGE_KEY = 'concretecalc.pricingLocation';
+
+/**
+ * Load the state and postcode last chosen on any calculator
+ * @returns {Object} { state, postcode } (empty strings if none saved)
+ */
+function loadPricingLocation() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PRICING_LOCATION_STORAGE_KEY));
+    return {
+      state: stored && CONSTANTS.READYMIX_PRICES[stored.state] ? stored.state : '',
+      postcode: stored && typeof stored.postcode === 'string' ? stored.postcode : ''
+    };
+  } catch (err) {
+    // Storage unavailable (private browsing) or corrupted
+    return { state: '', postcode: '' };
+  }
+}
+
+/**
+ * Remember the pricing state and/or postcode for the other calculators
+ * @param {Object} location - { state, postcode } (either may be omitted to keep the saved value)
+ */
+function savePricingLocation(location) {
+  try {
+    localStorage.setItem(PRICING_LOCATION_STORAGE_KEY, JSON.stringify({ ...loadPricingLocation(), ...location }));
+  } catch (err) {
+    // Not worth interrupting the user for - the state just won't carry over
+  }
+}
+
 /**
  * Initialize state selector for regional pricing
+ * The chosen state is remembered across pages; a blank selector starts on the saved state.
  * @param {string} selectId - Select element ID
  * @param {Function} onChange - Callback when state changes
  */
@@ -483,7 +841,12 @@ function initStateSelector(selectId, onChange) {
   const select = $(selectId);
   if (!select) return;
 
+  if (!select.value) {
+    select.value = loadPricingLocation().state;
+  }
+
   select.addEventListener('change', () => {
+    savePricingLocation({ state: select.value });
     if (onChange) {
       onChange(select.value);
     }
@@ -494,6 +857,180 @@ function initStateSelector(selectId, onChange) {
   };
 }
 
+/**
+ * Initialize a postcode input for regional ready-mix pricing
+ * Shows the matched pricing region and keeps the state selector in step with it.
+ * The postcode is remembered across pages like the state.
+ * @param {string} inputId - Postcode input ID
+ * @param {string} statusId - Element ID for the matched region text
+ * @param {string} stateSelectId - State select ID to update from the postcode (optional)
+ * @param {Function} onChange - Callback when the postcode changes
+ */
+function initPostcodeInput(inputId, statusId, stateSelectId, onChange) {
+  const input = $(inputId);
+  if (!input) return;
+
+  if (!input.value) {
+    input.value = loadPricingLocation().postcode;
+  }
+
+  function update() {
+    const value = input.value.trim();
+    const region = findReadymixRegion(value);
+    const status = $(statusId);
+    if (status) {
+      status.textContent = region
+        ? `${region.label} pricing (${region.type})`
+        : value ? 'Postcode not found - using the state average' : 'Leave blank to use the state average';
+    }
+    if (region && stateSelectId && $(stateSelectId)) {
+      $(stateSelectId).value = region.state;
+    }
+  }
+
+  input.addEventListener('input', debounce(() => {
+    update();
+    const region = findReadymixRegion(input.value.trim());
+    savePricingLocation(region ? { state: region.state, postcode: input.value.trim() } : { postcode: input.value.trim() });
+    if (onChange) {
+      onChange(input.value.trim());
+    }
+  }, 200));
+  update();
+
+  return {
+    getPostcode: () => input.value.trim(),
+    update
+  };
+}
+
+/**
+ * Initialize the pricing fields shared by the calculators: state, postcode and
+ * optional custom bag and ready-mix prices (IDs state, postcode, postcode-region,
+ * bag-price and readymix-price)
+ * @param {Function} onChange - Callback when any pricing field changes
+ * @returns {Object} { getPricing, update } - getPricing() returns calculator params
+ */
+function initPricingFields(onChange) {
+  const stateSelect = $('state');
+  const bagPriceInput = $('bag-price');
+  const readymixPriceInput = $('readymix-price');
+
+  initStateSelector('state', onChange);
+  const postcode = initPostcodeInput('postcode', 'postcode-region', 'state', onChange);
+  [bagPriceInput, readymixPriceInput].forEach(input => {
+    if (input) {
+      input.addEventListener('input', debounce(onChange, 200));
+    }
+  });
+
+  return {
+    getPricing: () => ({
+      state: stateSelect && stateSelect.value ? stateSelect.value : null,
+      postcode: postcode ? postcode.getPostcode() || null : null,
+      bagPrice: bagPriceInput ? parseFloat(bagPriceInput.value) || null : null,
+      readymixPrice: readymixPriceInput ? parseFloat(readymixPriceInput.value) || null : null
+    }),
+    // Refresh the region text after URL params have filled the postcode
+    update: () => {
+      if (postcode) postcode.update();
+    }
+  };
+}
+
+// ===== PROJECT STORAGE =====
+
+const PROJECTS_STORAGE_KEY = 'concretecalc.projects';
+
+/**
+ * Generate a short unique ID for projects and project elements
+ * @returns {string} ID string
+ */
+function generateId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
+}
+
+/**
+ * Load saved projects from localStorage
+ * @returns {Array<Object>} Saved projects, most recently updated first
+ */
+function loadProjects() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PROJECTS_STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (err) {
+    // Storage unavailable (private browsing) or corrupted
+    return [];
+  }
+}
+
+/**
+ * Save a project to localStorage, replacing any existing project with the same ID
+ * @param {Object} project - Project { id, name, elements, state, productId }
+ * @returns {Array<Object>} Updated list of saved projects
+ */
+function saveProject(project) {
+  const projects = loadProjects().filter(p => p.id !== project.id);
+  projects.unshift({ ...project, updatedAt: new Date().toISOString() });
+
+  try {
+    localStorage.setItem(PROJECTS_STORAGE_KEY, JSON.stringify(projects));
+  } catch (err) {
+    showToast('Could not save project in this browser');
+  }
+  return projects;
+}
+
+/**
+ * Delete a saved project from localStorage
+ * @param {string} projectId - Project ID
+ * @returns {Array<Object>} Updated list of saved projects
+ */
+function deleteProject(projectId) {
+  const projects = loadProjects().filter(p => p.id !== projectId);
+
+  try {
+    localStorage.setItem(PROJECTS_STORAGE_KEY, JSON.stringify(projects));
+  } catch (err) {
+    showToast('Could not update saved projects');
+  }
+  return projects;
+}
+
+// ===== PRICE LIST STORAGE =====
+
+const FORMWORK_PRICES_STORAGE_KEY = 'concretecalc.formworkPrices';
+
+/**
+ * Load the user's formwork price list from localStorage
+ * @returns {Object} Price overrides (empty if none saved)
+ */
+function loadFormworkPrices() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(FORMWORK_PRICES_STORAGE_KEY));
+    return stored && typeof stored === 'object' ? stored : {};
+  } catch (err) {
+    // Storage unavailable (private browsing) or corrupted
+    return {};
+  }
+}
+
+/**
+ * Save the user's formwork price list to localStorage (null clears it)
+ * @param {Object|null} prices - Price overrides, same shape as CONSTANTS.FORMWORK_PRICES
+ */
+function saveFormworkPrices(prices) {
+  try {
+    if (prices) {
+      localStorage.setItem(FORMWORK_PRICES_STORAGE_KEY, JSON.stringify(prices));
+    } else {
+      localStorage.removeItem(FORMWORK_PRICES_STORAGE_KEY);
+    }
+  } catch (err) {
+    showToast('Could not save prices in this browser');
+  }
+}
+
 // ===== COMPARISON RENDERING (Bags vs Ready-mix) =====
 
 /**
@@ -512,10 +1049,10 @@ function renderComparison(result, elements) {
     $(elements.bagsQuantity).textContent = bags.quantity + ' bags';
   }
   if (elements.bagsCostMin && $(elements.bagsCostMin)) {
-    $(elements.bagsCostMin).textContent = formatCurrency(bags.cost.min);
+    $(elements.bagsCostMin).textContent = formatCurrency(bags.total.min);
   }
   if (elements.bagsCostMax && $(elements.bagsCostMax)) {
-    $(elements.bagsCostMax).textContent = formatCurrency(bags.cost.max);
+    $(elements.bagsCostMax).textContent = formatCurrency(bags.total.max);
   }
   if (elements.bagsWeight && $(elements.bagsWeight)) {
     $(elements.bagsWeight).textContent = bags.weight + ' kg';
@@ -533,10 +1070,10 @@ function renderComparison(result, elements) {
     $(elements.readymixVolume).textContent = volumeText;
   }
   if (elements.readymixCostMin && $(elements.readymixCostMin)) {
-    $(elements.readymixCostMin).textContent = formatCurrency(readymix.cost.min);
+    $(elements.readymixCostMin).textContent = formatCurrency(readymix.total.min);
   }
   if (elements.readymixCostMax && $(elements.readymixCostMax)) {
-    $(elements.readymixCostMax).textContent = formatCurrency(readymix.cost.max);
+    $(elements.readymixCostMax).textContent = formatCurrency(readymix.total.max);
   }
 
   // Recommendation
@@ -723,6 +1260,32 @@ function buildShareUrl(params) {
   return url.toString();
 }
 
+/**
+ * Point a "next step" link at another calculator, carrying dimensions across
+ * so they don't have to be entered again
+ * @param {string} linkId - Link element ID
+ * @param {string} path - Target calculator path (e.g. '/reinforcement-calculator/')
+ * @param {Object|null} params - URL parameters to pass, or null to hide the link
+ */
+function updateNextStepLink(linkId, path, params) {
+  const link = $(linkId);
+  if (!link) return;
+
+  if (!params) {
+    link.hidden = true;
+    return;
+  }
+
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      query.set(key, value);
+    }
+  });
+  link.href = `${path}?${query.toString()}`;
+  link.hidden = false;
+}
+
 /**
  * Initialize share buttons for a calculator
  * @param {Object} config - Configuration object
@@ -789,6 +1352,7 @@ if (typeof module !== 'undefined' && module.exports) {
     $,
     qs,
     qsa,
+    escapeHtml,
     initUnitToggle,
     convertInputUnit,
     updateInputSuffixes,
@@ -796,13 +1360,33 @@ if (typeof module !== 'undefined' && module.exports) {
     initCalculatorInputs,
     initWastageSlider,
     renderResults,
+    getReadymixPricingNote,
     renderFormula,
+    parseNumberRows,
+    fitPlanToView,
+    renderOutlineSvg,
+    renderSurveySvg,
+    renderStairsSvg,
+    renderDeckFootingsSvg,
     initPresets,
+    initProductSelector,
+    initMixSelector,
     initShapeToggle,
     initMobileNav,
     initFAQAccordion,
     initStateSelector,
+    initPostcodeInput,
+    initPricingFields,
+    loadPricingLocation,
+    savePricingLocation,
+    generateId,
+    loadProjects,
+    saveProject,
+    deleteProject,
+    loadFormworkPrices,
+    saveFormworkPrices,
     renderComparison,
+    updateNextStepLink,
     initInfoModals,
     initCommon
   };
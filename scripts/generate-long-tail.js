@@ -63,6 +63,23 @@ function calculateFootingVolume(length, width, depth, count, wastage) {
   return totalVolume;
 }
 
+// Circular slabs: full circle, annulus (ring), semicircle or sector (angle in degrees)
+function calculateCircularVolume(shape, diameter, innerDiameter, angle, depth, wastage) {
+  const radius = diameter / 2;
+  let area = Math.PI * radius * radius;
+  if (shape === 'annulus') {
+    const innerRadius = innerDiameter / 2;
+    area -= Math.PI * innerRadius * innerRadius;
+  } else if (shape === 'semicircle') {
+    area /= 2;
+  } else if (shape === 'sector') {
+    area *= angle / 360;
+  }
+  const baseVolume = area * depth;
+  const totalVolume = baseVolume * (1 + wastage / 100);
+  return totalVolume;
+}
+
 function calculateBags(volume) {
   return Math.ceil(volume * BAGS_PER_M3);
 }
@@ -84,7 +101,8 @@ const PARENT_PAGES = {
   slab: { name: 'Slab Calculator', url: '/concrete-slab-calculator/' },
   postHole: { name: 'Post Hole Calculator', url: '/post-hole-calculator/' },
   volume: { name: 'Bags vs Ready-Mix', url: '/bags-vs-readymix/' },
-  footing: { name: 'Footing Calculator', url: '/footing-calculator/' }
+  footing: { name: 'Footing Calculator', url: '/footing-calculator/' },
+  circular: { name: 'Circular Slab Calculator', url: '/circular-slab-calculator/' }
 };
 
 // Helper: pick 3 related pages, rotating based on current page index so all pages get inbound links
@@ -241,6 +259,21 @@ const headerTemplate = `
               <ul class="nav-dropdown-menu">
                 <li><a href="/column-calculator/">Column Calculator</a></li>
                 <li><a href="/circular-slab-calculator/">Circular Slab</a></li>
+                <li><a href="/project-builder/">Project Builder</a></li>
+                <li><a href="/irregular-slab-calculator/">Irregular Slab</a></li>
+                <li><a href="/level-survey-calculator/">Level Survey</a></li>
+                <li><a href="/raft-slab-calculator/">Raft Slab</a></li>
+                <li><a href="/waffle-pod-slab-calculator/">Waffle Pod Slab</a></li>
+                <li><a href="/reinforcement-calculator/">Reinforcement Mesh</a></li>
+                <li><a href="/formwork-calculator/">Formwork</a></li>
+                <li><a href="/sub-base-calculator/">Sub-base Calculator</a></li>
+                <li><a href="/stairs-calculator/">Stairs Calculator</a></li>
+                <li><a href="/strip-footing-calculator/">Strip Footing Calculator</a></li>
+                <li><a href="/pad-and-pier-calculator/">Pad &amp; Pier Calculator</a></li>
+                <li><a href="/fence-line-planner/">Fence Line Planner</a></li>
+                <li><a href="/deck-footing-planner/">Deck Footing Planner</a></li>
+                <li><a href="/block-wall-calculator/">Block Wall Calculator</a></li>
+                <li><a href="/mix-design-calculator/">Mix Design Calculator</a></li>
               </ul>
             </li>
             <li><a href="/bags-vs-readymix/">Bags vs Ready-Mix</a></li>
@@ -261,6 +294,21 @@ const headerTemplate = `
           <li><a href="/footing-calculator/">Footing Calculator</a></li>
           <li><a href="/column-calculator/">Column Calculator</a></li>
           <li><a href="/circular-slab-calculator/">Circular Slab Calculator</a></li>
+          <li><a href="/project-builder/">Project Builder</a></li>
+          <li><a href="/irregular-slab-calculator/">Irregular Slab Calculator</a></li>
+          <li><a href="/level-survey-calculator/">Level Survey Calculator</a></li>
+          <li><a href="/raft-slab-calculator/">Raft Slab Calculator</a></li>
+          <li><a href="/waffle-pod-slab-calculator/">Waffle Pod Slab Calculator</a></li>
+          <li><a href="/reinforcement-calculator/">Reinforcement Calculator</a></li>
+          <li><a href="/formwork-calculator/">Formwork Calculator</a></li>
+          <li><a href="/sub-base-calculator/">Sub-base</a></li>
+          <li><a href="/stairs-calculator/">Stairs</a></li>
+          <li><a href="/strip-footing-calculator/">Strip Footings</a></li>
+          <li><a href="/pad-and-pier-calculator/">Pad &amp; Pier</a></li>
+          <li><a href="/fence-line-planner/">Fence Planner</a></li>
+          <li><a href="/deck-footing-planner/">Deck Footings</a></li>
+          <li><a href="/block-wall-calculator/">Block Walls</a></li>
+          <li><a href="/mix-design-calculator/">Mix Design</a></li>
           <li><a href="/bags-vs-readymix/">Bags vs Ready-Mix</a></li>
         </ul>
       </nav>
@@ -971,6 +1019,50 @@ const footingContent = {
           <p>Most deck projects require building approval with staged inspections. Footings typically need inspection before concrete placement (hole depth and position) and again after curing before framing proceeds. Understand your inspection requirements to avoid delays or rejected work.</p>`
 };
 
+const circularContent = {
+  'concrete-for-water-tank-path': `
+          <h2>Concrete for a Path Around a Water Tank</h2>
+
+          <p>A concrete ring around a round rainwater tank keeps weeds and mud away from the base, gives you somewhere dry to stand when checking fittings, and carries roof and overflow water away from the tank pad. Because the tank sits in the middle, you only pour the ring &ndash; not a full circle.</p>
+
+          <h3>Working Out the Ring Volume</h3>
+          <p>The path is an annulus: the area of the full circle to the outside edge of the path, less the circle the tank (or tank pad) occupies. For a 3.6m diameter tank with a 1m wide path, the outer diameter is 5.6m. The area is π × (2.8² − 1.8²) = 14.45 m², and at 100mm thick that is 1.45 m³ before wastage.</p>
+
+          <h3>Forming the Curves</h3>
+          <p>The inside edge can be formed against the existing tank pad. For the outside edge, bend flexible hardboard, masonite or thin plywood strips around pegs set out from the tank&rsquo;s centre with a string line at the outer radius. Add pegs every 500mm or so on the curve so the formwork holds its shape under the weight of the concrete.</p>
+
+          <h3>Falls and Drainage</h3>
+          <p>Slope the path away from the tank at around 1:100 so water runs outward, and keep the top of the path below the tank base so it never holds water against the tank. Cut control joints radially every 1.5&ndash;2m around the ring to stop random cracking.</p>`,
+
+  'concrete-for-half-round-patio': `
+          <h2>Concrete for a Half-Round Patio</h2>
+
+          <p>A half-round patio off the edge of a deck, back step or sliding door softens the line of the house and gives a natural landing for outdoor furniture. The straight edge sits against the existing structure and the curve faces the garden.</p>
+
+          <h3>Working Out the Semicircle Volume</h3>
+          <p>A semicircle is half of a full circle, so its area is ½ × π × r². A 4m wide half-round patio has a 2m radius, giving ½ × π × 2² = 6.28 m². At 100mm thick that is 0.63 m³ of concrete, or about 0.69 m³ once 10% wastage is added.</p>
+
+          <h3>Setting Out the Curve</h3>
+          <p>Drive a peg at the middle of the straight edge and use a string line the length of the radius to mark the curve on the ground. Set flexible formwork to the mark and brace it well &ndash; curves are more likely to bow out than straight boards.</p>
+
+          <h3>Against the House</h3>
+          <p>Keep the finished patio below the damp-proof course and weep holes of the house, and fall it away from the building. Place an isolation joint strip along the straight edge where the patio meets existing concrete or brickwork.</p>`,
+
+  'concrete-for-quarter-circle-slab': `
+          <h2>Concrete for a Quarter-Circle Corner Pad</h2>
+
+          <p>Quarter-circle pads fill the corner between two fences, walls or garden beds neatly. They make tidy bases for a corner spa, a barbecue, a bench seat or a water feature without the wasted space of a square slab.</p>
+
+          <h3>Working Out the Sector Volume</h3>
+          <p>A quarter circle is a sector with a 90° angle, so its area is 90 ÷ 360 of the full circle. With a 2m radius that is ¼ × π × 2² = 3.14 m², and at 100mm thick the pad needs 0.31 m³ of concrete before wastage. Other angles work the same way &ndash; a 120° sector is a third of the full circle.</p>
+
+          <h3>Setting Out</h3>
+          <p>The corner where the two straight edges meet is the centre of the circle. Check the straight edges are square to each other, then swing a string line at the radius from the corner to mark the curved edge.</p>
+
+          <h3>Thickness</h3>
+          <p>100mm is enough for foot traffic, furniture and barbecues. Go to 125mm with mesh for a spa or a heavy water feature, and check the manufacturer&rsquo;s base requirements before pouring.</p>`
+};
+
 // ============================================================================
 // PAGE GENERATORS
 // ============================================================================
@@ -1620,6 +1712,178 @@ ${seoContent}
 ${footerTemplate}`;
 }
 
+function generateCircularPage(pageData) {
+  const volume = calculateCircularVolume(pageData.shape, pageData.diameter, pageData.innerDiameter, pageData.angle, pageData.depth, pageData.wastage);
+  const bags = calculateBags(volume);
+  const bagCostMin = bags * BAG_COST_MIN;
+  const bagCostMax = bags * BAG_COST_MAX;
+  const readymixCostMin = volume * READYMIX_COST_MIN;
+  const readymixCostMax = volume * READYMIX_COST_MAX;
+
+  const depthMm = pageData.depth * 1000;
+  const shapeDescriptions = {
+    circle: `${pageData.diameter}m diameter circle`,
+    annulus: `${pageData.diameter}m outer / ${pageData.innerDiameter}m inner diameter ring`,
+    semicircle: `${pageData.diameter}m diameter half circle`,
+    sector: `${pageData.angle}° sector, ${pageData.diameter / 2}m radius`
+  };
+  const shapeDescription = shapeDescriptions[pageData.shape] || shapeDescriptions.circle;
+  const shapeParams = {
+    circle: '',
+    annulus: `&id=${pageData.innerDiameter}`,
+    semicircle: '',
+    sector: `&a=${pageData.angle}`
+  };
+  const calcLink = `/circular-slab-calculator/?s=${pageData.shape}&d=${pageData.diameter}${shapeParams[pageData.shape] || ''}&t=${pageData.depth}&waste=${pageData.wastage}`;
+
+  const faqs = [
+    {
+      question: `How much concrete for ${pageData.titleKeyword.toLowerCase()}?`,
+      answer: `A ${shapeDescription} at ${depthMm}mm thick requires approximately ${formatNumber(volume, 2)} cubic metres of concrete including ${pageData.wastage}% wastage, or ${bags} bags of 20kg premix.`
+    },
+    {
+      question: `Should I use bags or ready-mix for ${pageData.titleKeyword.toLowerCase()}?`,
+      answer: volume < 1
+        ? `At ${formatNumber(volume, 2)}m³, bagged concrete is usually practical for a DIY pour. Expect to spend ${formatCurrency(bagCostMin)} – ${formatCurrency(bagCostMax)} on bags.`
+        : `At ${formatNumber(volume, 2)}m³ (${bags} bags), ready-mix is usually the better choice. It saves a lot of mixing and gives a consistent finish across the whole pour.`
+    }
+  ];
+
+  const page = {
+    slug: pageData.slug,
+    title: `How Much Concrete for ${pageData.titleKeyword}? | Concrete Calculator Australia`,
+    ogTitle: `Concrete for ${pageData.titleKeyword}`,
+    metaDescription: `A ${pageData.titleKeyword.toLowerCase()} (${shapeDescription}, ${depthMm}mm thick) needs ${formatNumber(volume, 2)}m³ of concrete (${bags} bags). Free Australian calculator.`,
+    faqs,
+    breadcrumb: {
+      parentName: PARENT_PAGES.circular.name,
+      parentUrl: PARENT_PAGES.circular.url,
+      currentName: `Concrete for ${pageData.titleKeyword}`
+    }
+  };
+
+  const seoContent = circularContent[pageData.slug] || `
+          <h2>Calculating Concrete for ${pageData.titleKeyword}</h2>
+          <p>A ${shapeDescription} at ${depthMm}mm thick requires ${formatNumber(volume, 2)} cubic metres of concrete. Use our calculator to adjust for your specific project.</p>`;
+
+  return `${headTemplate(page)}
+${headerTemplate}
+${breadcrumbTemplate(page)}
+
+    <!-- Hero -->
+    <section class="hero">
+      <div class="container">
+        <h1>How Much Concrete for ${pageData.titleKeyword}?</h1>
+        <p>Here's exactly how much concrete you need, pre-calculated with standard Australian specifications.</p>
+      </div>
+    </section>
+
+    <!-- Main Content -->
+    <main class="main-content">
+      <div class="container">
+        <!-- Pre-calculated Results -->
+        <section class="calculator-section">
+          <div class="calculator-card">
+            <div class="calculator-header">
+              <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+                <circle cx="12" cy="12" r="10"/>
+              </svg>
+              <h2>Your Concrete Requirements</h2>
+            </div>
+
+            <div class="calculator-body">
+              <div class="info-box info-box--tip" style="margin-bottom: var(--space-6);">
+                <div class="info-box-content">
+                  <strong>Specifications:</strong> ${shapeDescription} × ${depthMm}mm thick (${pageData.wastage}% wastage included)
+                </div>
+              </div>
+
+              <div class="results-panel">
+                <div class="results-grid">
+                  <div class="result-item result-item--primary">
+                    <span class="result-label">Total Volume</span>
+                    <span class="result-value">${formatNumber(volume, 2)} m³</span>
+                    <span class="result-subtext">Including ${pageData.wastage}% wastage</span>
+                  </div>
+
+                  <div class="result-item result-item--primary">
+                    <span class="result-label">20kg Bags Needed</span>
+                    <span class="result-value">${bags}</span>
+                    <span class="result-subtext">Standard concrete bags</span>
+                  </div>
+
+                  <div class="result-item">
+                    <span class="result-label">Estimated Bag Cost</span>
+                    <div class="cost-range result-value result-value--small">${formatCurrency(bagCostMin)} – ${formatCurrency(bagCostMax)}</div>
+                    <span class="result-subtext">Based on $8.50-$12.50/bag</span>
+                  </div>
+
+                  <div class="result-item">
+                    <span class="result-label">Ready-Mix Cost</span>
+                    <div class="cost-range result-value result-value--small">${formatCurrency(readymixCostMin)} – ${formatCurrency(readymixCostMax)}</div>
+                    <span class="result-subtext">Delivered, varies by region</span>
+                  </div>
+                </div>
+
+                <div style="margin-top: var(--space-6); text-align: center;">
+                  <a href="${calcLink}" class="share-btn share-btn--share" style="display: inline-flex; text-decoration: none; padding: var(--space-3) var(--space-6);">
+                    <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" style="width: 18px; height: 18px;">
+                      <circle cx="12" cy="12" r="10"/>
+                    </svg>
+                    Adjust These Numbers →
+                  </a>
+                </div>
+              </div>
+            </div>
+          </div>
+        </section>
+
+        <!-- SEO Content -->
+        <article class="seo-content">
+${seoContent}
+
+          <h3>Need Different Specifications?</h3>
+          <p>Use our <a href="/circular-slab-calculator/">circular slab calculator</a> to enter your exact size &ndash; it handles full circles, rings, half circles and sectors. For straight-sided slabs, use the <a href="/concrete-slab-calculator/">slab calculator</a>.</p>
+        </article>
+
+        <!-- Related Calculations -->
+        <section class="related-section">
+          <h2 class="section-title">Related Calculators</h2>
+          <div class="related-grid">
+            <a href="/circular-slab-calculator/" class="related-card">
+              <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+                <circle cx="12" cy="12" r="10"/>
+              </svg>
+              <h3>Circular Slab Calculator</h3>
+              <p>Enter custom round slab dimensions.</p>
+              <span class="card-arrow">Calculate →</span>
+            </a>
+
+            <a href="/concrete-slab-calculator/" class="related-card">
+              <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+                <rect x="2" y="12" width="20" height="10" rx="1"/>
+              </svg>
+              <h3>Slab Calculator</h3>
+              <p>For rectangular slabs.</p>
+              <span class="card-arrow">Calculate →</span>
+            </a>
+
+            <a href="/bags-vs-readymix/" class="related-card">
+              <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+                <path d="M3 3v18h18"/>
+                <path d="M7 16l4-8 4 5 5-9"/>
+              </svg>
+              <h3>Bags vs Ready-Mix</h3>
+              <p>Compare costs for your pour.</p>
+              <span class="card-arrow">Compare →</span>
+            </a>
+          </div>
+        </section>
+      </div>
+    </main>
+${footerTemplate}`;
+}
+
 // ============================================================================
 // SITEMAP GENERATOR
 // ============================================================================
@@ -1632,7 +1896,22 @@ function generateSitemap(allSlugs) {
     { loc: 'footing-calculator/', priority: '0.8' },
     { loc: 'column-calculator/', priority: '0.7' },
     { loc: 'circular-slab-calculator/', priority: '0.7' },
-    { loc: 'bags-vs-readymix/', priority: '0.8' }
+    { loc: 'bags-vs-readymix/', priority: '0.8' },
+    { loc: 'project-builder/', priority: '0.7' },
+    { loc: 'irregular-slab-calculator/', priority: '0.7' },
+    { loc: 'level-survey-calculator/', priority: '0.7' },
+    { loc: 'raft-slab-calculator/', priority: '0.7' },
+    { loc: 'waffle-pod-slab-calculator/', priority: '0.7' },
+    { loc: 'reinforcement-calculator/', priority: '0.7' },
+    { loc: 'formwork-calculator/', priority: '0.7' },
+    { loc: 'sub-base-calculator/', priority: '0.7' },
+    { loc: 'stairs-calculator/', priority: '0.7' },
+    { loc: 'strip-footing-calculator/', priority: '0.7' },
+    { loc: 'pad-and-pier-calculator/', priority: '0.7' },
+    { loc: 'fence-line-planner/', priority: '0.7' },
+    { loc: 'deck-footing-planner/', priority: '0.7' },
+    { loc: 'block-wall-calculator/', priority: '0.7' },
+    { loc: 'mix-design-calculator/', priority: '0.7' }
   ];
 
   let sitemap = `<?xml version="1.0" encoding="UTF-8"?>
@@ -1725,6 +2004,18 @@ function main() {
     console.log(`   ✓ ${page.slug}/`);
   });
 
+  // Generate circular slab pages
+  console.log('\n📄 Generating circular slab pages...');
+  data.circularPages.forEach(page => {
+    const html = generateCircularPage(page);
+    const dir = path.join(ROOT_DIR, page.slug);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'index.html'), html);
+    allSlugs.push(page.slug);
+    pagesGenerated++;
+    console.log(`   ✓ ${page.slug}/`);
+  });
+
   // Update sitemap
   console.log('\n📄 Updating sitemap.xml...');
   const sitemap = generateSitemap(allSlugs);